@@ -0,0 +1,293 @@
+const fs = require("fs");
+const fetch = require("node-fetch");
+const MessageFilter = require("./message-filter");
+
+const RULE_TYPES = ['threshold', 'silence', 'rate'];
+const OPERATORS = ['>', '>=', '<', '<=', '==', '!='];
+const CHECK_INTERVAL_MS = 1000;
+
+// Evaluates alert rules against received messages and on a timer.
+//   threshold: a JSONPath value in the payload compared with a number
+//   silence:   no message on the topic pattern for silence_seconds
+//   rate:      more than rate_per_second messages averaged over rate_window_seconds
+// An alert stays open (active or acknowledged) until its condition clears or someone resolves it,
+// so a rule does not fire again for every message while it is still in alarm.
+class AlertEngine {
+  constructor(database, { logFile, onAlert, onAlertUpdate, isConnectionActive } = {}) {
+    this.db = database;
+    this.logFile = logFile;
+    this.onAlert = onAlert || (() => {});
+    this.onAlertUpdate = onAlertUpdate || (() => {});
+    this.isConnectionActive = isConnectionActive || (() => true);
+    this.rules = [];
+    this.openAlerts = new Map(); // alert key -> alert event id
+    this.lastSeen = new Map(); // rule id -> time of the last matching message
+    this.arrivals = new Map(); // rule id -> message times inside the rate window
+    this.checkInterval = null;
+  }
+
+  static validateRule(rule) {
+    if (!rule.name) {
+      return 'Rule name is required';
+    }
+    if (!rule.topic_pattern) {
+      return 'Topic pattern is required';
+    }
+    if (!RULE_TYPES.includes(rule.type)) {
+      return `Rule type must be one of: ${RULE_TYPES.join(', ')}`;
+    }
+    if (rule.type === 'threshold') {
+      if (!OPERATORS.includes(rule.operator)) {
+        return `Operator must be one of: ${OPERATORS.join(' ')}`;
+      }
+      if (rule.threshold === null || rule.threshold === undefined || isNaN(rule.threshold)) {
+        return 'Threshold must be a number';
+      }
+      try {
+        MessageFilter.parsePath(rule.json_path || '');
+      } catch (error) {
+        return error.message;
+      }
+    }
+    if (rule.type === 'silence' && !(rule.silence_seconds > 0)) {
+      return 'Silence period must be a positive number of seconds';
+    }
+    if (rule.type === 'rate' && (!(rule.rate_per_second > 0) || !(rule.rate_window_seconds > 0))) {
+      return 'Rate and rate window must be positive numbers';
+    }
+    if (rule.webhook_url && !/^https?:\/\//i.test(rule.webhook_url)) {
+      return 'Webhook URL must start with http:// or https://';
+    }
+    return null;
+  }
+
+  async start() {
+    await this.loadRules();
+
+    // Alerts left open by a previous run keep suppressing duplicates
+    const openAlerts = await this.db.getAlertEvents({ open: true, limit: 1000 });
+    openAlerts.alerts.forEach(alert => this.openAlerts.set(alert.alert_key, alert.id));
+
+    this.checkInterval = setInterval(() => this.checkTimers(), CHECK_INTERVAL_MS);
+  }
+
+  stop() {
+    if (this.checkInterval) {
+      clearInterval(this.checkInterval);
+      this.checkInterval = null;
+    }
+  }
+
+  async loadRules() {
+    const rules = await this.db.getAlertRules();
+    const now = Date.now();
+
+    this.rules = rules.filter(rule => rule.enabled).map(rule => {
+      const compiled = { ...rule };
+      if (rule.type === 'threshold') {
+        compiled.path = MessageFilter.parsePath(rule.json_path);
+      }
+      // Silence is measured from when the rule was (re)loaded, not from the epoch
+      if (!this.lastSeen.has(rule.id)) {
+        this.lastSeen.set(rule.id, now);
+      }
+      return compiled;
+    });
+    console.log(`🚨 Loaded ${this.rules.length} active alert rules`);
+  }
+
+  appliesTo(rule, connectionId, topic) {
+    return (!rule.connection_id || rule.connection_id === connectionId) &&
+      MessageFilter.topicMatches(topic, rule.topic_pattern);
+  }
+
+  // Called for every received message, after decoding
+  handleMessage(messageData) {
+    const now = Date.now();
+
+    this.rules.forEach(rule => {
+      if (!this.appliesTo(rule, messageData.connection_id, messageData.topic)) {
+        return;
+      }
+
+      this.lastSeen.set(rule.id, now);
+
+      switch (rule.type) {
+        case 'threshold':
+          this.checkThreshold(rule, messageData);
+          break;
+        case 'silence':
+          this.resolveCondition(`rule:${rule.id}`, 'Messages resumed');
+          break;
+        case 'rate':
+          const arrivals = this.arrivals.get(rule.id) || [];
+          arrivals.push(now);
+          this.arrivals.set(rule.id, arrivals);
+          this.checkRate(rule, now);
+          break;
+      }
+    });
+  }
+
+  checkThreshold(rule, messageData) {
+    const context = { message: messageData, json: undefined, jsonParsed: false };
+    const value = MessageFilter.readPath(MessageFilter.payloadJson(context), rule.path);
+    const number = Number(value);
+    if (value === undefined || value === null || value === '' || isNaN(number)) {
+      return;
+    }
+
+    const key = `rule:${rule.id}:${messageData.topic}`;
+    if (this.compare(number, rule.operator, rule.threshold)) {
+      this.trigger(rule, key, {
+        connection_id: messageData.connection_id,
+        topic: messageData.topic,
+        value: number,
+        message: `${rule.json_path} is ${number} (${rule.operator} ${rule.threshold}) on ${messageData.topic}`
+      });
+    } else {
+      this.resolveCondition(key, `${rule.json_path} back to ${number}`);
+    }
+  }
+
+  compare(value, operator, threshold) {
+    switch (operator) {
+      case '>': return value > threshold;
+      case '>=': return value >= threshold;
+      case '<': return value < threshold;
+      case '<=': return value <= threshold;
+      case '==': return value === threshold;
+      case '!=': return value !== threshold;
+    }
+    return false;
+  }
+
+  checkRate(rule, now) {
+    const windowMs = rule.rate_window_seconds * 1000;
+    const arrivals = (this.arrivals.get(rule.id) || []).filter(time => now - time <= windowMs);
+    this.arrivals.set(rule.id, arrivals);
+
+    const rate = arrivals.length / rule.rate_window_seconds;
+    const key = `rule:${rule.id}`;
+    if (rate > rule.rate_per_second) {
+      this.trigger(rule, key, {
+        connection_id: rule.connection_id,
+        topic: rule.topic_pattern,
+        value: rate,
+        message: `${rate.toFixed(2)} msg/s on ${rule.topic_pattern} (limit ${rule.rate_per_second} msg/s)`
+      });
+    } else {
+      this.resolveCondition(key, `Rate back to ${rate.toFixed(2)} msg/s`);
+    }
+  }
+
+  checkTimers() {
+    const now = Date.now();
+
+    this.rules.forEach(rule => {
+      if (rule.type === 'rate') {
+        this.checkRate(rule, now);
+        return;
+      }
+      if (rule.type !== 'silence') {
+        return;
+      }
+
+      // A connection nobody started is not "silent"
+      if (!this.isConnectionActive(rule.connection_id)) {
+        this.lastSeen.set(rule.id, now);
+        return;
+      }
+
+      const silentFor = (now - this.lastSeen.get(rule.id)) / 1000;
+      if (silentFor >= rule.silence_seconds) {
+        this.trigger(rule, `rule:${rule.id}`, {
+          connection_id: rule.connection_id,
+          topic: rule.topic_pattern,
+          value: Math.round(silentFor),
+          message: `No message on ${rule.topic_pattern} for ${Math.round(silentFor)} seconds`
+        });
+      }
+    });
+  }
+
+  trigger(rule, key, details) {
+    if (this.openAlerts.has(key)) {
+      return;
+    }
+    this.openAlerts.set(key, null); // Reserved until the event is stored
+
+    const alert = {
+      rule_id: rule.id,
+      rule_name: rule.name,
+      alert_key: key,
+      ...details,
+      status: 'active',
+      triggered_at: new Date().toISOString()
+    };
+
+    this.db.addAlertEvent(alert)
+      .then(stored => {
+        this.openAlerts.set(key, stored.id);
+        console.log(`🚨 Alert "${rule.name}": ${alert.message}`);
+        this.deliver(rule, { ...alert, id: stored.id });
+      })
+      .catch(error => {
+        this.openAlerts.delete(key);
+        console.error(`❌ Failed to store alert for rule ${rule.id}:`, error);
+      });
+  }
+
+  // The condition behind an open alert has cleared
+  resolveCondition(key, reason) {
+    const alertId = this.openAlerts.get(key);
+    if (!alertId) {
+      return;
+    }
+    this.openAlerts.delete(key);
+    this.updateStatus(alertId, 'resolved', 'auto').catch(error => {
+      console.error(`❌ Failed to resolve alert ${alertId}:`, error);
+    });
+    console.log(`✅ Alert ${alertId} resolved: ${reason}`);
+  }
+
+  // Acknowledge or resolve an alert on behalf of a user
+  async updateStatus(alertId, status, username) {
+    const alert = await this.db.updateAlertEventStatus(alertId, status, username, new Date().toISOString());
+    if (alert && status === 'resolved') {
+      this.openAlerts.delete(alert.alert_key);
+    }
+    if (alert) {
+      this.onAlertUpdate(alert);
+    }
+    return alert;
+  }
+
+  deliver(rule, alert) {
+    this.onAlert(alert);
+
+    if (rule.log_to_file && this.logFile) {
+      fs.appendFile(this.logFile, JSON.stringify(alert) + '\n', (error) => {
+        if (error) console.error(`❌ Failed to write alert log ${this.logFile}:`, error.message);
+      });
+    }
+
+    if (rule.webhook_url) {
+      fetch(rule.webhook_url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ alert, rule: { id: rule.id, name: rule.name, type: rule.type } }),
+        timeout: 10000
+      })
+        .then(response => {
+          if (!response.ok) console.error(`❌ Alert webhook for rule ${rule.id} returned ${response.status}`);
+        })
+        .catch(error => console.error(`❌ Alert webhook for rule ${rule.id} failed:`, error.message));
+    }
+  }
+}
+
+AlertEngine.RULE_TYPES = RULE_TYPES;
+AlertEngine.OPERATORS = OPERATORS;
+
+module.exports = AlertEngine;
@@ -0,0 +1,176 @@
+const crypto = require("crypto");
+
+const ROLES = ['admin', 'viewer'];
+const SESSION_TTL_HOURS = parseInt(process.env.SESSION_TTL_HOURS) || 12;
+
+class AuthService {
+  constructor(database) {
+    this.db = database;
+  }
+
+  // Passwords are stored as scrypt$<salt>$<hash>, both hex encoded
+  async hashPassword(password) {
+    const salt = crypto.randomBytes(16);
+    const hash = await this.scrypt(password, salt);
+    return `scrypt$${salt.toString('hex')}$${hash.toString('hex')}`;
+  }
+
+  async verifyPassword(password, storedHash) {
+    const [scheme, saltHex, hashHex] = (storedHash || '').split('$');
+    if (scheme !== 'scrypt' || !saltHex || !hashHex) {
+      return false;
+    }
+
+    const expected = Buffer.from(hashHex, 'hex');
+    const actual = await this.scrypt(password, Buffer.from(saltHex, 'hex'));
+    return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+  }
+
+  scrypt(password, salt) {
+    return new Promise((resolve, reject) => {
+      crypto.scrypt(String(password), salt, 64, (err, derivedKey) => {
+        if (err) reject(err);
+        else resolve(derivedKey);
+      });
+    });
+  }
+
+  // Session tokens are only kept as SHA-256 hashes so a copied database cannot be replayed
+  hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+  }
+
+  validateUser({ username, password, role }, { requirePassword = true } = {}) {
+    if (username !== undefined && !/^[A-Za-z0-9_.@-]{3,64}$/.test(username)) {
+      return 'Username must be 3-64 characters (letters, digits, _ . @ -)';
+    }
+    if ((requirePassword || password !== undefined) && (!password || String(password).length < 8)) {
+      return 'Password must be at least 8 characters';
+    }
+    if (role !== undefined && !ROLES.includes(role)) {
+      return `Role must be one of: ${ROLES.join(', ')}`;
+    }
+    return null;
+  }
+
+  // Create the first admin account when the users table is empty
+  async ensureAdminUser() {
+    const userCount = await this.db.countUsers();
+    if (userCount > 0) {
+      return;
+    }
+
+    const username = process.env.ADMIN_USERNAME || 'admin';
+    const generated = !process.env.ADMIN_PASSWORD;
+    const password = process.env.ADMIN_PASSWORD || crypto.randomBytes(12).toString('base64url');
+
+    await this.db.addUser({ username, password_hash: await this.hashPassword(password), role: 'admin' });
+
+    console.log(`👤 Created initial admin user "${username}"`);
+    if (generated) {
+      console.log(`🔑 Generated admin password: ${password}`);
+      console.log('   Set ADMIN_PASSWORD to choose it yourself, and change it after first login.');
+    }
+  }
+
+  async login(username, password) {
+    const user = await this.db.getUserByUsername(username);
+    if (!user || !(await this.verifyPassword(password, user.password_hash))) {
+      return null;
+    }
+
+    const token = crypto.randomBytes(32).toString('hex');
+    const expiresAt = new Date(Date.now() + SESSION_TTL_HOURS * 60 * 60 * 1000).toISOString();
+    await this.db.addSession(this.hashToken(token), user.id, expiresAt);
+
+    return { token, expiresAt, user: this.publicUser(user) };
+  }
+
+  async logout(token) {
+    if (token) {
+      await this.db.deleteSession(this.hashToken(token));
+    }
+  }
+
+  // Resolve a session token to its user, or null when it is unknown or expired
+  async authenticate(token) {
+    if (!token) {
+      return null;
+    }
+
+    const session = await this.db.getSession(this.hashToken(token));
+    if (!session || session.expires_at < new Date().toISOString()) {
+      return null;
+    }
+    return this.publicUser(session);
+  }
+
+  publicUser(user) {
+    return { id: user.user_id || user.id, username: user.username, role: user.role };
+  }
+
+  // Tokens come from the Authorization header, or the query string where headers cannot be set (WebSocket, downloads)
+  getRequestToken(req) {
+    const header = req.headers.authorization || '';
+    if (header.startsWith('Bearer ')) {
+      return header.slice(7).trim();
+    }
+
+    const url = new URL(req.url, 'http://localhost');
+    return url.searchParams.get('token');
+  }
+
+  // Express middleware that rejects requests without a valid session
+  requireAuth(publicPaths = []) {
+    return async (req, res, next) => {
+      if (publicPaths.includes(req.path)) {
+        return next();
+      }
+
+      try {
+        const token = this.getRequestToken(req);
+        const user = await this.authenticate(token);
+        if (!user) {
+          return res.status(401).json({ error: 'Authentication required' });
+        }
+
+        req.user = user;
+        req.authToken = token;
+        next();
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
+    };
+  }
+
+  // Like requireAuth, but a fixed bearer token (e.g. for a Prometheus scraper) is accepted as well
+  requireAuthOrToken(staticToken) {
+    const sessionAuth = this.requireAuth();
+    const expected = staticToken ? crypto.createHash('sha256').update(staticToken).digest() : null;
+
+    return (req, res, next) => {
+      const token = this.getRequestToken(req);
+      if (expected && token && crypto.timingSafeEqual(crypto.createHash('sha256').update(token).digest(), expected)) {
+        return next();
+      }
+      return sessionAuth(req, res, next);
+    };
+  }
+
+  requireRole(role) {
+    return (req, res, next) => {
+      if (!req.user || req.user.role !== role) {
+        return res.status(403).json({ error: `This action requires the ${role} role` });
+      }
+      next();
+    };
+  }
+
+  async cleanupExpiredSessions() {
+    return this.db.deleteExpiredSessions(new Date().toISOString());
+  }
+}
+
+AuthService.ROLES = ROLES;
+
+module.exports = AuthService;
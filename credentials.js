@@ -0,0 +1,76 @@
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+
+// Connection fields that are encrypted in the database and never returned by the API
+const SECRET_FIELDS = ['password', 'client_key'];
+const PREFIX = 'enc:v1:';
+
+class CredentialCipher {
+  constructor(key) {
+    this.key = key;
+  }
+
+  // The master key comes from MQTT_MONITOR_MASTER_KEY, or from a key file that is created on first start
+  static fromEnvironment(defaultDirectory) {
+    if (process.env.MQTT_MONITOR_MASTER_KEY) {
+      console.log('🔐 Using credential master key from MQTT_MONITOR_MASTER_KEY');
+      return new CredentialCipher(CredentialCipher.parseKey(process.env.MQTT_MONITOR_MASTER_KEY));
+    }
+
+    const keyFile = process.env.MQTT_MONITOR_KEY_FILE || path.join(defaultDirectory, 'master.key');
+    if (!fs.existsSync(keyFile)) {
+      fs.writeFileSync(keyFile, crypto.randomBytes(32).toString('hex') + '\n', { mode: 0o600 });
+      console.log(`🔐 Generated credential master key at ${keyFile}`);
+      console.log('   Keep it out of backups of the database, or set MQTT_MONITOR_MASTER_KEY instead.');
+    } else {
+      console.log(`🔐 Using credential master key from ${keyFile}`);
+    }
+    return new CredentialCipher(CredentialCipher.parseKey(fs.readFileSync(keyFile, 'utf8')));
+  }
+
+  // Accept a 32 byte key as hex or base64; anything else is treated as a passphrase
+  static parseKey(value) {
+    const text = String(value).trim();
+    if (/^[0-9a-fA-F]{64}$/.test(text)) {
+      return Buffer.from(text, 'hex');
+    }
+
+    const decoded = Buffer.from(text, 'base64');
+    if (decoded.length === 32 && decoded.toString('base64').replace(/=+$/, '') === text.replace(/=+$/, '')) {
+      return decoded;
+    }
+    return crypto.scryptSync(text, 'mqtt-monitor-credentials', 32);
+  }
+
+  isEncrypted(value) {
+    return typeof value === 'string' && value.startsWith(PREFIX);
+  }
+
+  // AES-256-GCM, stored as enc:v1:<iv>:<auth tag>:<ciphertext> in base64
+  encrypt(value) {
+    if (value === null || value === undefined || value === '' || this.isEncrypted(value)) {
+      return value;
+    }
+
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', this.key, iv);
+    const encrypted = Buffer.concat([cipher.update(String(value), 'utf8'), cipher.final()]);
+    return `${PREFIX}${iv.toString('base64')}:${cipher.getAuthTag().toString('base64')}:${encrypted.toString('base64')}`;
+  }
+
+  decrypt(value) {
+    if (!this.isEncrypted(value)) {
+      return value;
+    }
+
+    const [iv, tag, encrypted] = value.slice(PREFIX.length).split(':').map(part => Buffer.from(part, 'base64'));
+    const decipher = crypto.createDecipheriv('aes-256-gcm', this.key, iv);
+    decipher.setAuthTag(tag);
+    return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+  }
+}
+
+CredentialCipher.SECRET_FIELDS = SECRET_FIELDS;
+
+module.exports = CredentialCipher;
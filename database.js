@@ -1,5 +1,31 @@
 ﻿const sqlite3 = require("sqlite3").verbose();
 const path = require("path");
+const CredentialCipher = require("./credentials");
+
+// Editable columns of mqtt_connections, in the order they are written
+const CONNECTION_COLUMNS = [
+  'name', 'host', 'port', 'username', 'password', 'client_id', 'keepalive', 'clean_session',
+  'message_retention_hours', 'protocol', 'reject_unauthorized', 'ca_cert', 'client_cert', 'client_key',
+  'tls_servername', 'tls_version', 'protocol_version', 'session_expiry_interval', 'receive_maximum',
+  'topic_alias_maximum', 'always_on'
+];
+
+// Editable columns of alert_rules
+const ALERT_RULE_COLUMNS = [
+  'name', 'connection_id', 'topic_pattern', 'type', 'json_path', 'operator', 'threshold', 'silence_seconds',
+  'rate_per_second', 'rate_window_seconds', 'webhook_url', 'log_to_file', 'enabled'
+];
+
+// Editable columns of forward_rules
+const FORWARD_RULE_COLUMNS = [
+  'name', 'source_connection_id', 'topic_pattern', 'destination_connection_id', 'topic_template', 'qos',
+  'payload_transform', 'transform_path', 'enabled'
+];
+
+// Editable columns of simulators
+const SIMULATOR_COLUMNS = [
+  'name', 'connection_id', 'topic_template', 'payload_template', 'rate', 'device_count', 'qos', 'retain'
+];
 
 class Database {
   constructor() {
@@ -9,6 +35,8 @@ class Database {
       : path.join(__dirname, "mqtt_monitor.db");
     
     console.log(`📁 Database path: ${dbPath}`);
+    this.dataDirectory = path.dirname(dbPath);
+    this.cipher = CredentialCipher.fromEnvironment(this.dataDirectory);
     this.db = new sqlite3.Database(dbPath);
     this.configureDatabase();
     this.initTables();
@@ -31,46 +59,334 @@ class Database {
   }
 
   initTables() {
-    // MQTT連接配置表
-    this.db.run(`CREATE TABLE IF NOT EXISTS mqtt_connections (
-      id INTEGER PRIMARY KEY AUTOINCREMENT,
-      name TEXT NOT NULL,
-      host TEXT NOT NULL,
-      port INTEGER NOT NULL,
-      username TEXT,
-      password TEXT,
-      client_id TEXT,
-      keepalive INTEGER DEFAULT 60,
-      clean_session BOOLEAN DEFAULT true,
-      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-      updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
-    )`);
-
-    // MQTT主題配置表
-    this.db.run(`CREATE TABLE IF NOT EXISTS mqtt_topics (
-      id INTEGER PRIMARY KEY AUTOINCREMENT,
-      connection_id INTEGER NOT NULL,
-      topic TEXT NOT NULL,
-      qos INTEGER DEFAULT 0,
-      active BOOLEAN DEFAULT true,
-      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-      FOREIGN KEY (connection_id) REFERENCES mqtt_connections (id)
-    )`);
-
-    // MQTT messages are no longer stored in database - only real-time display
+    // Run schema statements in order so column migrations see their tables
+    this.db.serialize(() => {
+      // MQTT連接配置表
+      this.db.run(`CREATE TABLE IF NOT EXISTS mqtt_connections (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        name TEXT NOT NULL,
+        host TEXT NOT NULL,
+        port INTEGER NOT NULL,
+        username TEXT,
+        password TEXT,
+        client_id TEXT,
+        keepalive INTEGER DEFAULT 60,
+        clean_session BOOLEAN DEFAULT true,
+        message_retention_hours INTEGER DEFAULT 24,
+        protocol TEXT DEFAULT 'auto',
+        reject_unauthorized BOOLEAN DEFAULT true,
+        ca_cert TEXT,
+        client_cert TEXT,
+        client_key TEXT,
+        tls_servername TEXT,
+        tls_version TEXT,
+        protocol_version INTEGER DEFAULT 4,
+        session_expiry_interval INTEGER,
+        receive_maximum INTEGER,
+        topic_alias_maximum INTEGER,
+        always_on BOOLEAN DEFAULT false,
+        built_in BOOLEAN DEFAULT false,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )`);
+
+      // MQTT主題配置表
+      this.db.run(`CREATE TABLE IF NOT EXISTS mqtt_topics (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        connection_id INTEGER NOT NULL,
+        topic TEXT NOT NULL,
+        qos INTEGER DEFAULT 0,
+        active BOOLEAN DEFAULT true,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (connection_id) REFERENCES mqtt_connections (id)
+      )`);
+
+      // MQTT消息歷史表
+      this.db.run(`CREATE TABLE IF NOT EXISTS mqtt_messages (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        connection_id INTEGER NOT NULL,
+        topic TEXT NOT NULL,
+        message TEXT,
+        qos INTEGER DEFAULT 0,
+        retained BOOLEAN DEFAULT false,
+        properties TEXT,
+        payload BLOB,
+        timestamp TEXT NOT NULL,
+        FOREIGN KEY (connection_id) REFERENCES mqtt_connections (id)
+      )`);
+      this.db.run("CREATE INDEX IF NOT EXISTS idx_mqtt_messages_connection_time ON mqtt_messages (connection_id, timestamp)");
+      this.db.run("CREATE INDEX IF NOT EXISTS idx_mqtt_messages_topic ON mqtt_messages (topic)");
+
+      // 發佈消息模板表
+      this.db.run(`CREATE TABLE IF NOT EXISTS publish_templates (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        name TEXT NOT NULL,
+        topic TEXT,
+        payload TEXT,
+        format TEXT DEFAULT 'text',
+        qos INTEGER DEFAULT 0,
+        retain BOOLEAN DEFAULT false,
+        properties TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )`);
+
+      // 用戶帳號表
+      this.db.run(`CREATE TABLE IF NOT EXISTS users (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        username TEXT NOT NULL UNIQUE,
+        password_hash TEXT NOT NULL,
+        role TEXT NOT NULL DEFAULT 'viewer',
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )`);
+
+      // 登入會話表
+      this.db.run(`CREATE TABLE IF NOT EXISTS user_sessions (
+        token_hash TEXT PRIMARY KEY,
+        user_id INTEGER NOT NULL,
+        expires_at TEXT NOT NULL,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (user_id) REFERENCES users (id)
+      )`);
+
+      // 用戶保存的消息過濾器
+      this.db.run(`CREATE TABLE IF NOT EXISTS message_filters (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        user_id INTEGER NOT NULL,
+        name TEXT NOT NULL,
+        expression TEXT NOT NULL,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (user_id) REFERENCES users (id)
+      )`);
+
+      // 負載解碼規則表
+      this.db.run(`CREATE TABLE IF NOT EXISTS payload_decoders (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        connection_id INTEGER,
+        topic_pattern TEXT NOT NULL,
+        decoder TEXT NOT NULL,
+        proto_schema TEXT,
+        proto_type TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (connection_id) REFERENCES mqtt_connections (id)
+      )`);
+
+      // 告警規則表
+      this.db.run(`CREATE TABLE IF NOT EXISTS alert_rules (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        name TEXT NOT NULL,
+        connection_id INTEGER,
+        topic_pattern TEXT NOT NULL,
+        type TEXT NOT NULL,
+        json_path TEXT,
+        operator TEXT,
+        threshold REAL,
+        silence_seconds INTEGER,
+        rate_per_second REAL,
+        rate_window_seconds INTEGER DEFAULT 10,
+        webhook_url TEXT,
+        log_to_file BOOLEAN DEFAULT false,
+        enabled BOOLEAN DEFAULT true,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (connection_id) REFERENCES mqtt_connections (id)
+      )`);
+
+      // 轉發規則表
+      this.db.run(`CREATE TABLE IF NOT EXISTS forward_rules (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        name TEXT NOT NULL,
+        source_connection_id INTEGER NOT NULL,
+        topic_pattern TEXT NOT NULL,
+        destination_connection_id INTEGER NOT NULL,
+        topic_template TEXT,
+        qos INTEGER,
+        payload_transform TEXT DEFAULT 'none',
+        transform_path TEXT,
+        enabled BOOLEAN DEFAULT true,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (source_connection_id) REFERENCES mqtt_connections (id),
+        FOREIGN KEY (destination_connection_id) REFERENCES mqtt_connections (id)
+      )`);
+
+      // 模擬器表
+      this.db.run(`CREATE TABLE IF NOT EXISTS simulators (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        name TEXT NOT NULL,
+        connection_id INTEGER NOT NULL,
+        topic_template TEXT NOT NULL,
+        payload_template TEXT,
+        rate REAL NOT NULL DEFAULT 1,
+        device_count INTEGER NOT NULL DEFAULT 1,
+        qos INTEGER DEFAULT 0,
+        retain BOOLEAN DEFAULT false,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (connection_id) REFERENCES mqtt_connections (id)
+      )`);
+
+      // 告警歷史表
+      this.db.run(`CREATE TABLE IF NOT EXISTS alert_events (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        rule_id INTEGER,
+        rule_name TEXT NOT NULL,
+        alert_key TEXT NOT NULL,
+        connection_id INTEGER,
+        topic TEXT,
+        value REAL,
+        message TEXT,
+        status TEXT NOT NULL DEFAULT 'active',
+        triggered_at TEXT NOT NULL,
+        acknowledged_at TEXT,
+        acknowledged_by TEXT,
+        resolved_at TEXT,
+        resolved_by TEXT
+      )`);
+      this.db.run("CREATE INDEX IF NOT EXISTS idx_alert_events_status ON alert_events (status, triggered_at)");
+
+      // 錄製表
+      this.db.run(`CREATE TABLE IF NOT EXISTS recordings (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        name TEXT NOT NULL,
+        connection_id INTEGER NOT NULL,
+        topic_filter TEXT NOT NULL DEFAULT '#',
+        status TEXT NOT NULL DEFAULT 'recording',
+        message_count INTEGER DEFAULT 0,
+        started_at TEXT NOT NULL,
+        stopped_at TEXT
+      )`);
+
+      // 錄製訊息表
+      this.db.run(`CREATE TABLE IF NOT EXISTS recording_messages (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        recording_id INTEGER NOT NULL,
+        offset_ms INTEGER NOT NULL,
+        topic TEXT NOT NULL,
+        payload BLOB,
+        qos INTEGER DEFAULT 0,
+        retained BOOLEAN DEFAULT false,
+        properties TEXT,
+        FOREIGN KEY (recording_id) REFERENCES recordings (id)
+      )`);
+      this.db.run("CREATE INDEX IF NOT EXISTS idx_recording_messages_recording ON recording_messages (recording_id, id)");
+
+      // Columns added after the first release
+      this.addColumn('mqtt_connections', 'message_retention_hours INTEGER DEFAULT 24');
+      this.addColumn('mqtt_connections', "protocol TEXT DEFAULT 'auto'");
+      this.addColumn('mqtt_connections', 'reject_unauthorized BOOLEAN DEFAULT true');
+      this.addColumn('mqtt_connections', 'ca_cert TEXT');
+      this.addColumn('mqtt_connections', 'client_cert TEXT');
+      this.addColumn('mqtt_connections', 'client_key TEXT');
+      this.addColumn('mqtt_connections', 'tls_servername TEXT');
+      this.addColumn('mqtt_connections', 'tls_version TEXT');
+      this.addColumn('mqtt_connections', 'protocol_version INTEGER DEFAULT 4');
+      this.addColumn('mqtt_connections', 'session_expiry_interval INTEGER');
+      this.addColumn('mqtt_connections', 'receive_maximum INTEGER');
+      this.addColumn('mqtt_connections', 'topic_alias_maximum INTEGER');
+      this.addColumn('mqtt_connections', 'always_on BOOLEAN DEFAULT false');
+      this.addColumn('mqtt_connections', 'built_in BOOLEAN DEFAULT false');
+      this.addColumn('mqtt_messages', 'properties TEXT');
+      this.addColumn('mqtt_messages', 'payload BLOB');
+      this.addColumn('mqtt_topics', 'json_schema TEXT');
+      this.addColumn('mqtt_topics', 'schema_notify BOOLEAN DEFAULT false');
+
+      this.encryptStoredCredentials();
+    });
+  }
+
+  // Migration: encrypt credentials that were saved in plaintext by older versions
+  encryptStoredCredentials() {
+    const secretColumns = CredentialCipher.SECRET_FIELDS;
+    this.db.all(`SELECT id, ${secretColumns.join(', ')} FROM mqtt_connections`, (err, rows) => {
+      if (err) {
+        console.error('❌ Failed to read connections for credential encryption:', err.message);
+        return;
+      }
+
+      rows.forEach(row => {
+        const columns = secretColumns.filter(column => row[column] && !this.cipher.isEncrypted(row[column]));
+        if (columns.length === 0) {
+          return;
+        }
+
+        this.db.run(
+          `UPDATE mqtt_connections SET ${columns.map(column => `${column} = ?`).join(', ')} WHERE id = ?`,
+          [...columns.map(column => this.cipher.encrypt(row[column])), row.id],
+          (updateErr) => {
+            if (updateErr) console.error(`❌ Failed to encrypt credentials of connection ${row.id}:`, updateErr.message);
+            else console.log(`🔐 Encrypted stored credentials of connection ${row.id}`);
+          }
+        );
+      });
+    });
+  }
+
+  encryptConnection(connectionData) {
+    const encrypted = { ...connectionData };
+    CredentialCipher.SECRET_FIELDS.forEach(column => {
+      if (encrypted[column] !== undefined) {
+        encrypted[column] = this.cipher.encrypt(encrypted[column]);
+      }
+    });
+    return encrypted;
+  }
+
+  decryptConnection(connection) {
+    if (!connection) {
+      return connection;
+    }
+
+    CredentialCipher.SECRET_FIELDS.forEach(column => {
+      try {
+        connection[column] = this.cipher.decrypt(connection[column]);
+      } catch (error) {
+        // Usually means the master key changed; the credential has to be entered again
+        console.error(`❌ Cannot decrypt ${column} of connection ${connection.id}:`, error.message);
+        connection[column] = null;
+      }
+    });
+    return connection;
+  }
+
+  // Add a column to an existing table, ignoring databases that already have it
+  addColumn(table, columnDefinition) {
+    this.db.run(`ALTER TABLE ${table} ADD COLUMN ${columnDefinition}`, (err) => {
+      if (err && !/duplicate column name/i.test(err.message)) {
+        console.error(`❌ Failed to add column to ${table}:`, err.message);
+      }
+    });
   }
 
 
   async addConnection(connectionData) {
+    connectionData = this.encryptConnection(connectionData);
+    // Only write the columns that were provided so the table defaults apply to the rest
+    const columns = CONNECTION_COLUMNS.filter(column => connectionData[column] !== undefined);
+    const id = await new Promise((resolve, reject) => {
+      this.db.run(
+        `INSERT INTO mqtt_connections (${columns.join(', ')}) 
+         VALUES (${columns.map(() => '?').join(', ')})`,
+        columns.map(column => connectionData[column]),
+        function(err) {
+          if (err) reject(err);
+          else resolve(this.lastID);
+        }
+      );
+    });
+    return this.getConnectionById(id);
+  }
+
+  async updateConnection(connectionId, connectionData) {
+    connectionData = this.encryptConnection(connectionData);
+    const columns = CONNECTION_COLUMNS.filter(column => connectionData[column] !== undefined);
+    const assignments = columns.map(column => `${column} = ?`);
+    assignments.push('updated_at = CURRENT_TIMESTAMP');
+
     return new Promise((resolve, reject) => {
-      const { name, host, port, username, password, client_id, keepalive, clean_session } = connectionData;
       this.db.run(
-        `INSERT INTO mqtt_connections (name, host, port, username, password, client_id, keepalive, clean_session) 
-         VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
-        [name, host, port, username, password, client_id, keepalive, clean_session],
+        `UPDATE mqtt_connections SET ${assignments.join(', ')} WHERE id = ?`,
+        [...columns.map(column => connectionData[column]), connectionId],
         function(err) {
           if (err) reject(err);
-          else resolve({ id: this.lastID, ...connectionData });
+          else resolve({ updated: this.changes });
         }
       );
     });
@@ -80,17 +396,17 @@ class Database {
     return new Promise((resolve, reject) => {
       this.db.all("SELECT * FROM mqtt_connections ORDER BY created_at DESC", (err, rows) => {
         if (err) reject(err);
-        else resolve(rows);
+        else resolve(rows.map(row => this.decryptConnection(row)));
       });
     });
   }
 
   async addTopic(topicData) {
     return new Promise((resolve, reject) => {
-      const { connection_id, topic, qos, active } = topicData;
+      const { connection_id, topic, qos, active, json_schema, schema_notify } = topicData;
       this.db.run(
-        `INSERT INTO mqtt_topics (connection_id, topic, qos, active) VALUES (?, ?, ?, ?)`,
-        [connection_id, topic, qos, active],
+        `INSERT INTO mqtt_topics (connection_id, topic, qos, active, json_schema, schema_notify) VALUES (?, ?, ?, ?, ?, ?)`,
+        [connection_id, topic, qos, active, json_schema || null, schema_notify ? 1 : 0],
         function(err) {
           if (err) reject(err);
           else resolve({ id: this.lastID, ...topicData });
@@ -108,6 +424,38 @@ class Database {
     });
   }
 
+  async getTopicCount() {
+    return new Promise((resolve, reject) => {
+      this.db.get("SELECT COUNT(*) AS count FROM mqtt_topics", (err, row) => {
+        if (err) reject(err);
+        else resolve(row.count);
+      });
+    });
+  }
+
+  // Topics with a JSON Schema attached, whether or not they are subscribed right now
+  async getSchemaTopics() {
+    return new Promise((resolve, reject) => {
+      this.db.all("SELECT * FROM mqtt_topics WHERE json_schema IS NOT NULL AND json_schema != ''", (err, rows) => {
+        if (err) reject(err);
+        else resolve(rows);
+      });
+    });
+  }
+
+  async updateTopicSchema(topicId, jsonSchema, notify) {
+    return new Promise((resolve, reject) => {
+      this.db.run(
+        "UPDATE mqtt_topics SET json_schema = ?, schema_notify = ? WHERE id = ?",
+        [jsonSchema || null, notify ? 1 : 0, topicId],
+        function(err) {
+          if (err) reject(err);
+          else resolve({ updated: this.changes });
+        }
+      );
+    });
+  }
+
   async getAllActiveTopics() {
     return new Promise((resolve, reject) => {
       this.db.all(
@@ -123,9 +471,758 @@ class Database {
     });
   }
 
-  // Message storage methods removed - messages are only displayed in real-time
+  // The connection of the embedded broker, created by the server rather than a user
+  async getBuiltInConnection() {
+    return new Promise((resolve, reject) => {
+      this.db.get("SELECT * FROM mqtt_connections WHERE built_in = 1", (err, row) => {
+        if (err) reject(err);
+        else resolve(row ? this.decryptConnection(row) : null);
+      });
+    });
+  }
+
+  async markConnectionBuiltIn(connectionId) {
+    return new Promise((resolve, reject) => {
+      this.db.run("UPDATE mqtt_connections SET built_in = 1 WHERE id = ?", [connectionId], function(err) {
+        if (err) reject(err);
+        else resolve({ updated: this.changes });
+      });
+    });
+  }
+
+  async getConnectionById(connectionId) {
+    return new Promise((resolve, reject) => {
+      this.db.get("SELECT * FROM mqtt_connections WHERE id = ?", [connectionId], (err, row) => {
+        if (err) reject(err);
+        else resolve(this.decryptConnection(row));
+      });
+    });
+  }
+
+  async addMessage(messageData) {
+    return new Promise((resolve, reject) => {
+      // payload holds the raw bytes of binary messages; text messages only need the message column
+      const { connection_id, topic, message, qos, retained, properties, payload, timestamp } = messageData;
+      this.db.run(
+        `INSERT INTO mqtt_messages (connection_id, topic, message, qos, retained, properties, payload, timestamp) VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+        [connection_id, topic, message, qos, retained ? 1 : 0, properties ? JSON.stringify(properties) : null, payload || null, timestamp],
+        function(err) {
+          if (err) reject(err);
+          else resolve({ id: this.lastID, ...messageData });
+        }
+      );
+    });
+  }
+
+  // Build the WHERE clause shared by message history queries
+  buildMessageFilter({ connectionId, topics, from, to } = {}) {
+    const conditions = [];
+    const params = [];
+
+    if (connectionId !== undefined && connectionId !== null) {
+      conditions.push("connection_id = ?");
+      params.push(connectionId);
+    }
+    if (Array.isArray(topics)) {
+      if (topics.length === 0) {
+        // A topic pattern that matched nothing must not fall back to "all topics"
+        conditions.push("0");
+      } else {
+        conditions.push(`topic IN (${topics.map(() => '?').join(', ')})`);
+        params.push(...topics);
+      }
+    }
+    if (from) {
+      conditions.push("timestamp >= ?");
+      params.push(from);
+    }
+    if (to) {
+      conditions.push("timestamp <= ?");
+      params.push(to);
+    }
+
+    return {
+      where: conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '',
+      params
+    };
+  }
+
+  // Query stored messages, newest first, with the total count for paging
+  async getMessages(filter = {}) {
+    const limit = filter.limit || 100;
+    const offset = filter.offset || 0;
+    const { where, params } = this.buildMessageFilter(filter);
+
+    const total = await new Promise((resolve, reject) => {
+      this.db.get(`SELECT COUNT(*) as count FROM mqtt_messages ${where}`, params, (err, row) => {
+        if (err) reject(err);
+        else resolve(row.count);
+      });
+    });
+
+    const messages = await new Promise((resolve, reject) => {
+      this.db.all(
+        `SELECT * FROM mqtt_messages ${where} ORDER BY timestamp DESC, id DESC LIMIT ? OFFSET ?`,
+        [...params, limit, offset],
+        (err, rows) => {
+          if (err) reject(err);
+          else resolve(rows.map(row => ({
+            ...row,
+            retained: !!row.retained,
+            properties: row.properties ? JSON.parse(row.properties) : undefined
+          })));
+        }
+      );
+    });
+
+    return { messages, total, limit, offset };
+  }
+
+  // Oldest first, one page at a time after the last seen id, so exports can walk any amount of history
+  async getMessagesAfter(filter, afterId, limit) {
+    const { where, params } = this.buildMessageFilter(filter);
+    const condition = where ? `${where} AND id > ?` : 'WHERE id > ?';
+    return new Promise((resolve, reject) => {
+      this.db.all(
+        `SELECT * FROM mqtt_messages ${condition} ORDER BY id LIMIT ?`,
+        [...params, afterId, limit],
+        (err, rows) => {
+          if (err) reject(err);
+          else resolve(rows.map(row => ({
+            ...row,
+            retained: !!row.retained,
+            properties: row.properties ? JSON.parse(row.properties) : undefined
+          })));
+        }
+      );
+    });
+  }
 
+  // Distinct stored topics, used to resolve MQTT wildcard patterns before paging
+  async getMessageTopics(filter = {}) {
+    const { where, params } = this.buildMessageFilter(filter);
+    return new Promise((resolve, reject) => {
+      this.db.all(`SELECT DISTINCT topic FROM mqtt_messages ${where}`, params, (err, rows) => {
+        if (err) reject(err);
+        else resolve(rows.map(row => row.topic));
+      });
+    });
+  }
+
+  async getPublishTemplates() {
+    return new Promise((resolve, reject) => {
+      this.db.all("SELECT * FROM publish_templates ORDER BY name", (err, rows) => {
+        if (err) reject(err);
+        else resolve(rows.map(row => ({
+          ...row,
+          retain: !!row.retain,
+          properties: row.properties ? JSON.parse(row.properties) : null
+        })));
+      });
+    });
+  }
+
+  async addPublishTemplate(templateData) {
+    return new Promise((resolve, reject) => {
+      const { name, topic, payload, format, qos, retain, properties } = templateData;
+      this.db.run(
+        `INSERT INTO publish_templates (name, topic, payload, format, qos, retain, properties) VALUES (?, ?, ?, ?, ?, ?, ?)`,
+        [name, topic, payload, format || 'text', qos || 0, retain ? 1 : 0, properties ? JSON.stringify(properties) : null],
+        function(err) {
+          if (err) reject(err);
+          else resolve({ id: this.lastID, ...templateData });
+        }
+      );
+    });
+  }
+
+  async deletePublishTemplate(templateId) {
+    return new Promise((resolve, reject) => {
+      this.db.run("DELETE FROM publish_templates WHERE id = ?", [templateId], function(err) {
+        if (err) reject(err);
+        else resolve({ deleted: this.changes });
+      });
+    });
+  }
+
+  async getPayloadDecoders() {
+    return new Promise((resolve, reject) => {
+      this.db.all("SELECT * FROM payload_decoders ORDER BY id", (err, rows) => {
+        if (err) reject(err);
+        else resolve(rows);
+      });
+    });
+  }
+
+  async addPayloadDecoder(decoderData) {
+    return new Promise((resolve, reject) => {
+      const { connection_id, topic_pattern, decoder, proto_schema, proto_type } = decoderData;
+      this.db.run(
+        `INSERT INTO payload_decoders (connection_id, topic_pattern, decoder, proto_schema, proto_type) VALUES (?, ?, ?, ?, ?)`,
+        [connection_id || null, topic_pattern, decoder, proto_schema || null, proto_type || null],
+        function(err) {
+          if (err) reject(err);
+          else resolve({ id: this.lastID, ...decoderData });
+        }
+      );
+    });
+  }
+
+  async deletePayloadDecoder(decoderId) {
+    return new Promise((resolve, reject) => {
+      this.db.run("DELETE FROM payload_decoders WHERE id = ?", [decoderId], function(err) {
+        if (err) reject(err);
+        else resolve({ deleted: this.changes });
+      });
+    });
+  }
+
+  async getAlertRules() {
+    return new Promise((resolve, reject) => {
+      this.db.all("SELECT * FROM alert_rules ORDER BY name", (err, rows) => {
+        if (err) reject(err);
+        else resolve(rows.map(row => ({ ...row, enabled: !!row.enabled, log_to_file: !!row.log_to_file })));
+      });
+    });
+  }
+
+  async addAlertRule(ruleData) {
+    const columns = ALERT_RULE_COLUMNS.filter(column => ruleData[column] !== undefined);
+    return new Promise((resolve, reject) => {
+      this.db.run(
+        `INSERT INTO alert_rules (${columns.join(', ')}) VALUES (${columns.map(() => '?').join(', ')})`,
+        columns.map(column => ruleData[column]),
+        function(err) {
+          if (err) reject(err);
+          else resolve({ id: this.lastID, ...ruleData });
+        }
+      );
+    });
+  }
+
+  async updateAlertRule(ruleId, ruleData) {
+    const columns = ALERT_RULE_COLUMNS.filter(column => ruleData[column] !== undefined);
+    if (columns.length === 0) {
+      return { updated: 0 };
+    }
+    return new Promise((resolve, reject) => {
+      this.db.run(
+        `UPDATE alert_rules SET ${columns.map(column => `${column} = ?`).join(', ')} WHERE id = ?`,
+        [...columns.map(column => ruleData[column]), ruleId],
+        function(err) {
+          if (err) reject(err);
+          else resolve({ updated: this.changes });
+        }
+      );
+    });
+  }
+
+  async deleteAlertRule(ruleId) {
+    return new Promise((resolve, reject) => {
+      this.db.run("DELETE FROM alert_rules WHERE id = ?", [ruleId], function(err) {
+        if (err) reject(err);
+        else resolve({ deleted: this.changes });
+      });
+    });
+  }
+
+  async getForwardRules() {
+    return new Promise((resolve, reject) => {
+      this.db.all("SELECT * FROM forward_rules ORDER BY name", (err, rows) => {
+        if (err) reject(err);
+        else resolve(rows.map(row => ({ ...row, enabled: !!row.enabled })));
+      });
+    });
+  }
+
+  async addForwardRule(ruleData) {
+    const columns = FORWARD_RULE_COLUMNS.filter(column => ruleData[column] !== undefined);
+    return new Promise((resolve, reject) => {
+      this.db.run(
+        `INSERT INTO forward_rules (${columns.join(', ')}) VALUES (${columns.map(() => '?').join(', ')})`,
+        columns.map(column => ruleData[column]),
+        function(err) {
+          if (err) reject(err);
+          else resolve({ id: this.lastID, ...ruleData });
+        }
+      );
+    });
+  }
+
+  async updateForwardRule(ruleId, ruleData) {
+    const columns = FORWARD_RULE_COLUMNS.filter(column => ruleData[column] !== undefined);
+    if (columns.length === 0) {
+      return { updated: 0 };
+    }
+    return new Promise((resolve, reject) => {
+      this.db.run(
+        `UPDATE forward_rules SET ${columns.map(column => `${column} = ?`).join(', ')} WHERE id = ?`,
+        [...columns.map(column => ruleData[column]), ruleId],
+        function(err) {
+          if (err) reject(err);
+          else resolve({ updated: this.changes });
+        }
+      );
+    });
+  }
+
+  async deleteForwardRule(ruleId) {
+    return new Promise((resolve, reject) => {
+      this.db.run("DELETE FROM forward_rules WHERE id = ?", [ruleId], function(err) {
+        if (err) reject(err);
+        else resolve({ deleted: this.changes });
+      });
+    });
+  }
+
+  async getSimulators() {
+    return new Promise((resolve, reject) => {
+      this.db.all("SELECT * FROM simulators ORDER BY name", (err, rows) => {
+        if (err) reject(err);
+        else resolve(rows.map(row => ({ ...row, retain: !!row.retain })));
+      });
+    });
+  }
+
+  async getSimulatorById(simulatorId) {
+    return new Promise((resolve, reject) => {
+      this.db.get("SELECT * FROM simulators WHERE id = ?", [simulatorId], (err, row) => {
+        if (err) reject(err);
+        else resolve(row ? { ...row, retain: !!row.retain } : null);
+      });
+    });
+  }
+
+  async addSimulator(simulatorData) {
+    const columns = SIMULATOR_COLUMNS.filter(column => simulatorData[column] !== undefined);
+    return new Promise((resolve, reject) => {
+      this.db.run(
+        `INSERT INTO simulators (${columns.join(', ')}) VALUES (${columns.map(() => '?').join(', ')})`,
+        columns.map(column => simulatorData[column]),
+        function(err) {
+          if (err) reject(err);
+          else resolve({ id: this.lastID, ...simulatorData });
+        }
+      );
+    });
+  }
+
+  async updateSimulator(simulatorId, simulatorData) {
+    const columns = SIMULATOR_COLUMNS.filter(column => simulatorData[column] !== undefined);
+    if (columns.length === 0) {
+      return { updated: 0 };
+    }
+    return new Promise((resolve, reject) => {
+      this.db.run(
+        `UPDATE simulators SET ${columns.map(column => `${column} = ?`).join(', ')} WHERE id = ?`,
+        [...columns.map(column => simulatorData[column]), simulatorId],
+        function(err) {
+          if (err) reject(err);
+          else resolve({ updated: this.changes });
+        }
+      );
+    });
+  }
+
+  async deleteSimulator(simulatorId) {
+    return new Promise((resolve, reject) => {
+      this.db.run("DELETE FROM simulators WHERE id = ?", [simulatorId], function(err) {
+        if (err) reject(err);
+        else resolve({ deleted: this.changes });
+      });
+    });
+  }
+
+  // Alert history, newest first; open means active or acknowledged
+  async getAlertEvents({ status, open, limit = 100, offset = 0 } = {}) {
+    const conditions = [];
+    const params = [];
+    if (open) {
+      conditions.push("status IN ('active', 'acknowledged')");
+    } else if (status) {
+      conditions.push('status = ?');
+      params.push(status);
+    }
+    const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+    const total = await new Promise((resolve, reject) => {
+      this.db.get(`SELECT COUNT(*) as count FROM alert_events ${where}`, params, (err, row) => {
+        if (err) reject(err);
+        else resolve(row.count);
+      });
+    });
+
+    const alerts = await new Promise((resolve, reject) => {
+      this.db.all(
+        `SELECT * FROM alert_events ${where} ORDER BY triggered_at DESC, id DESC LIMIT ? OFFSET ?`,
+        [...params, limit, offset],
+        (err, rows) => {
+          if (err) reject(err);
+          else resolve(rows);
+        }
+      );
+    });
+
+    return { alerts, total, limit, offset };
+  }
+
+  async addAlertEvent(alertData) {
+    return new Promise((resolve, reject) => {
+      const { rule_id, rule_name, alert_key, connection_id, topic, value, message, status, triggered_at } = alertData;
+      this.db.run(
+        `INSERT INTO alert_events (rule_id, rule_name, alert_key, connection_id, topic, value, message, status, triggered_at)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [rule_id, rule_name, alert_key, connection_id || null, topic, value, message, status || 'active', triggered_at],
+        function(err) {
+          if (err) reject(err);
+          else resolve({ id: this.lastID, ...alertData });
+        }
+      );
+    });
+  }
+
+  // Move an alert to acknowledged or resolved; resolved alerts cannot be acknowledged again
+  async updateAlertEventStatus(alertId, status, username, time) {
+    const assignments = status === 'acknowledged'
+      ? "status = 'acknowledged', acknowledged_at = ?, acknowledged_by = ?"
+      : "status = 'resolved', resolved_at = ?, resolved_by = ?";
+    const changes = await new Promise((resolve, reject) => {
+      this.db.run(
+        `UPDATE alert_events SET ${assignments} WHERE id = ? AND status != 'resolved'`,
+        [time, username, alertId],
+        function(err) {
+          if (err) reject(err);
+          else resolve(this.changes);
+        }
+      );
+    });
+    if (changes === 0) {
+      return null;
+    }
+
+    return new Promise((resolve, reject) => {
+      this.db.get("SELECT * FROM alert_events WHERE id = ?", [alertId], (err, row) => {
+        if (err) reject(err);
+        else resolve(row);
+      });
+    });
+  }
+
+  async countUsers() {
+    return new Promise((resolve, reject) => {
+      this.db.get("SELECT COUNT(*) as count FROM users", (err, row) => {
+        if (err) reject(err);
+        else resolve(row.count);
+      });
+    });
+  }
+
+  async getUsers() {
+    return new Promise((resolve, reject) => {
+      this.db.all("SELECT id, username, role, created_at, updated_at FROM users ORDER BY username", (err, rows) => {
+        if (err) reject(err);
+        else resolve(rows);
+      });
+    });
+  }
+
+  async getUserById(userId) {
+    return new Promise((resolve, reject) => {
+      this.db.get("SELECT * FROM users WHERE id = ?", [userId], (err, row) => {
+        if (err) reject(err);
+        else resolve(row);
+      });
+    });
+  }
+
+  async getUserByUsername(username) {
+    return new Promise((resolve, reject) => {
+      this.db.get("SELECT * FROM users WHERE username = ?", [username], (err, row) => {
+        if (err) reject(err);
+        else resolve(row);
+      });
+    });
+  }
+
+  async addUser(userData) {
+    return new Promise((resolve, reject) => {
+      const { username, password_hash, role } = userData;
+      this.db.run(
+        `INSERT INTO users (username, password_hash, role) VALUES (?, ?, ?)`,
+        [username, password_hash, role],
+        function(err) {
+          if (err) reject(err);
+          else resolve({ id: this.lastID, username, role });
+        }
+      );
+    });
+  }
+
+  async updateUser(userId, userData) {
+    const columns = ['password_hash', 'role'].filter(column => userData[column] !== undefined);
+    const assignments = columns.map(column => `${column} = ?`);
+    assignments.push('updated_at = CURRENT_TIMESTAMP');
+
+    return new Promise((resolve, reject) => {
+      this.db.run(
+        `UPDATE users SET ${assignments.join(', ')} WHERE id = ?`,
+        [...columns.map(column => userData[column]), userId],
+        function(err) {
+          if (err) reject(err);
+          else resolve({ updated: this.changes });
+        }
+      );
+    });
+  }
+
+  async deleteUser(userId) {
+    return new Promise((resolve, reject) => {
+      this.db.run("DELETE FROM user_sessions WHERE user_id = ?", [userId], (err) => {
+        if (err) return reject(err);
+        this.db.run("DELETE FROM message_filters WHERE user_id = ?", [userId], (err) => {
+          if (err) return reject(err);
+          this.db.run("DELETE FROM users WHERE id = ?", [userId], function(err) {
+            if (err) reject(err);
+            else resolve({ deleted: this.changes });
+          });
+        });
+      });
+    });
+  }
+
+  async getMessageFilters(userId) {
+    return new Promise((resolve, reject) => {
+      this.db.all("SELECT * FROM message_filters WHERE user_id = ? ORDER BY name", [userId], (err, rows) => {
+        if (err) reject(err);
+        else resolve(rows);
+      });
+    });
+  }
+
+  async addMessageFilter(filterData) {
+    return new Promise((resolve, reject) => {
+      const { user_id, name, expression } = filterData;
+      this.db.run(
+        `INSERT INTO message_filters (user_id, name, expression) VALUES (?, ?, ?)`,
+        [user_id, name, expression],
+        function(err) {
+          if (err) reject(err);
+          else resolve({ id: this.lastID, ...filterData });
+        }
+      );
+    });
+  }
+
+  // Filters can only be deleted by the user who saved them
+  async deleteMessageFilter(filterId, userId) {
+    return new Promise((resolve, reject) => {
+      this.db.run("DELETE FROM message_filters WHERE id = ? AND user_id = ?", [filterId, userId], function(err) {
+        if (err) reject(err);
+        else resolve({ deleted: this.changes });
+      });
+    });
+  }
+
+  async addSession(tokenHash, userId, expiresAt) {
+    return new Promise((resolve, reject) => {
+      this.db.run(
+        `INSERT INTO user_sessions (token_hash, user_id, expires_at) VALUES (?, ?, ?)`,
+        [tokenHash, userId, expiresAt],
+        (err) => {
+          if (err) reject(err);
+          else resolve();
+        }
+      );
+    });
+  }
+
+  async getSession(tokenHash) {
+    return new Promise((resolve, reject) => {
+      this.db.get(
+        `SELECT s.user_id, s.expires_at, u.username, u.role
+        FROM user_sessions s
+        JOIN users u ON s.user_id = u.id
+        WHERE s.token_hash = ?`,
+        [tokenHash],
+        (err, row) => {
+          if (err) reject(err);
+          else resolve(row);
+        }
+      );
+    });
+  }
+
+  async deleteSession(tokenHash) {
+    return new Promise((resolve, reject) => {
+      this.db.run("DELETE FROM user_sessions WHERE token_hash = ?", [tokenHash], function(err) {
+        if (err) reject(err);
+        else resolve({ deleted: this.changes });
+      });
+    });
+  }
+
+  async deleteUserSessions(userId) {
+    return new Promise((resolve, reject) => {
+      this.db.run("DELETE FROM user_sessions WHERE user_id = ?", [userId], function(err) {
+        if (err) reject(err);
+        else resolve({ deleted: this.changes });
+      });
+    });
+  }
+
+  async deleteExpiredSessions(now) {
+    return new Promise((resolve, reject) => {
+      this.db.run("DELETE FROM user_sessions WHERE expires_at < ?", [now], function(err) {
+        if (err) reject(err);
+        else resolve({ deleted: this.changes });
+      });
+    });
+  }
+
+  async getRecordings() {
+    return new Promise((resolve, reject) => {
+      this.db.all("SELECT * FROM recordings ORDER BY started_at DESC", (err, rows) => {
+        if (err) reject(err);
+        else resolve(rows);
+      });
+    });
+  }
+
+  async getRecordingById(recordingId) {
+    return new Promise((resolve, reject) => {
+      this.db.get("SELECT * FROM recordings WHERE id = ?", [recordingId], (err, row) => {
+        if (err) reject(err);
+        else resolve(row);
+      });
+    });
+  }
+
+  async addRecording(recordingData) {
+    return new Promise((resolve, reject) => {
+      const { name, connection_id, topic_filter, started_at } = recordingData;
+      this.db.run(
+        `INSERT INTO recordings (name, connection_id, topic_filter, status, started_at) VALUES (?, ?, ?, 'recording', ?)`,
+        [name, connection_id, topic_filter, started_at],
+        function(err) {
+          if (err) reject(err);
+          else resolve({ id: this.lastID, status: 'recording', ...recordingData });
+        }
+      );
+    });
+  }
+
+  async updateRecording(recordingId, changes) {
+    const fields = ['name', 'status', 'message_count', 'stopped_at'].filter(field => changes[field] !== undefined);
+    if (fields.length === 0) {
+      return { updated: 0 };
+    }
+
+    return new Promise((resolve, reject) => {
+      this.db.run(
+        `UPDATE recordings SET ${fields.map(field => `${field} = ?`).join(', ')} WHERE id = ?`,
+        [...fields.map(field => changes[field]), recordingId],
+        function(err) {
+          if (err) reject(err);
+          else resolve({ updated: this.changes });
+        }
+      );
+    });
+  }
+
+  // Recordings still marked as running when the server starts were cut off by a shutdown
+  async stopInterruptedRecordings(time) {
+    return new Promise((resolve, reject) => {
+      this.db.run(
+        `UPDATE recordings SET status = 'stopped', stopped_at = ?,
+           message_count = (SELECT COUNT(*) FROM recording_messages WHERE recording_id = recordings.id)
+         WHERE status = 'recording'`,
+        [time],
+        function(err) {
+          if (err) reject(err);
+          else resolve(this.changes);
+        }
+      );
+    });
+  }
+
+  async deleteRecording(recordingId) {
+    return new Promise((resolve, reject) => {
+      this.db.run("DELETE FROM recording_messages WHERE recording_id = ?", [recordingId], (err) => {
+        if (err) return reject(err);
+        this.db.run("DELETE FROM recordings WHERE id = ?", [recordingId], function(err) {
+          if (err) reject(err);
+          else resolve({ deleted: this.changes });
+        });
+      });
+    });
+  }
+
+  // Insert a batch of recorded messages in one transaction
+  async addRecordingMessages(recordingId, messages) {
+    return new Promise((resolve, reject) => {
+      this.db.serialize(() => {
+        this.db.run("BEGIN TRANSACTION");
+        const statement = this.db.prepare(
+          `INSERT INTO recording_messages (recording_id, offset_ms, topic, payload, qos, retained, properties) VALUES (?, ?, ?, ?, ?, ?, ?)`
+        );
+        messages.forEach(message => {
+          statement.run([
+            recordingId,
+            message.offset_ms,
+            message.topic,
+            message.payload,
+            message.qos,
+            message.retained ? 1 : 0,
+            message.properties ? JSON.stringify(message.properties) : null
+          ]);
+        });
+        statement.finalize();
+        this.db.run("COMMIT", (err) => {
+          if (err) reject(err);
+          else resolve({ inserted: messages.length });
+        });
+      });
+    });
+  }
+
+  // Recorded messages in recording order, paged by id
+  async getRecordingMessages(recordingId, afterId = 0, limit = 1000) {
+    return new Promise((resolve, reject) => {
+      this.db.all(
+        "SELECT * FROM recording_messages WHERE recording_id = ? AND id > ? ORDER BY id LIMIT ?",
+        [recordingId, afterId, limit],
+        (err, rows) => {
+          if (err) reject(err);
+          else resolve(rows.map(row => ({
+            ...row,
+            payload: row.payload || Buffer.alloc(0),
+            retained: !!row.retained,
+            properties: row.properties ? JSON.parse(row.properties) : null
+          })));
+        }
+      );
+    });
+  }
+
+  // Remove a connection together with everything that refers to it; alert rules without a connection
+  // watch all connections and stay
   async deleteConnection(connectionId) {
+    const cascade = [
+      ["DELETE FROM mqtt_messages WHERE connection_id = ?", [connectionId]],
+      ["DELETE FROM mqtt_topics WHERE connection_id = ?", [connectionId]],
+      ["DELETE FROM payload_decoders WHERE connection_id = ?", [connectionId]],
+      ["DELETE FROM alert_rules WHERE connection_id = ?", [connectionId]],
+      ["DELETE FROM forward_rules WHERE source_connection_id = ? OR destination_connection_id = ?", [connectionId, connectionId]],
+      ["DELETE FROM simulators WHERE connection_id = ?", [connectionId]],
+      ["DELETE FROM recording_messages WHERE recording_id IN (SELECT id FROM recordings WHERE connection_id = ?)", [connectionId]],
+      ["DELETE FROM recordings WHERE connection_id = ?", [connectionId]]
+    ];
+    for (const [sql, params] of cascade) {
+      await new Promise((resolve, reject) => {
+        this.db.run(sql, params, (err) => err ? reject(err) : resolve());
+      });
+    }
+
     return new Promise((resolve, reject) => {
       this.db.run("DELETE FROM mqtt_connections WHERE id = ?", [connectionId], function(err) {
         if (err) reject(err);
@@ -161,7 +1258,22 @@ class Database {
     });
   }
 
-  // Message cleanup methods removed - no message storage needed
+  // Remove stored messages older than each connection's retention window
+  async cleanupOldMessages() {
+    return new Promise((resolve, reject) => {
+      this.db.run(
+        `DELETE FROM mqtt_messages WHERE id IN (
+          SELECT m.id FROM mqtt_messages m
+          JOIN mqtt_connections c ON m.connection_id = c.id
+          WHERE m.timestamp < strftime('%Y-%m-%dT%H:%M:%fZ', 'now', '-' || c.message_retention_hours || ' hours')
+        )`,
+        function(err) {
+          if (err) reject(err);
+          else resolve({ deleted: this.changes });
+        }
+      );
+    });
+  }
 
   close() {
     this.db.close();
@@ -0,0 +1,176 @@
+const Aedes = require("aedes");
+const net = require("net");
+const http = require("http");
+const WebSocket = require("ws");
+
+const ENABLED = process.env.EMBEDDED_BROKER === 'true';
+const HOST = process.env.EMBEDDED_BROKER_HOST || '127.0.0.1';
+const LOOPBACK_HOSTS = ['127.0.0.1', '::1', 'localhost'];
+const TCP_PORT = parseInt(process.env.EMBEDDED_BROKER_PORT) || 1883;
+// 0 turns the WebSocket listener off
+const WS_PORT = process.env.EMBEDDED_BROKER_WS_PORT !== undefined ? parseInt(process.env.EMBEDDED_BROKER_WS_PORT) || 0 : 8083;
+const USERNAME = process.env.EMBEDDED_BROKER_USERNAME || null;
+const PASSWORD = process.env.EMBEDDED_BROKER_PASSWORD || '';
+const MONITOR_CLIENT_ID = 'mqtt_monitor_embedded'; // Client id of the built-in connection
+
+// An in-process MQTT 3.1.1 broker (aedes) for offline testing: devices and simulators connect to it over TCP
+// or WebSocket, and the monitor watches it through a built-in connection like any other broker.
+// Sessions and retained messages are kept in memory only and are lost when the server stops.
+class EmbeddedBroker {
+  constructor() {
+    this.aedes = null;
+    this.tcpServer = null;
+    this.httpServer = null;
+    this.wss = null;
+    this.clientInfo = new WeakMap(); // aedes client -> { transport, address, username, connected_at, published }
+  }
+
+  get enabled() {
+    return ENABLED;
+  }
+
+  get running() {
+    return !!this.aedes;
+  }
+
+  async start() {
+    // Anyone who can reach a public address could publish into the monitor, so that needs a sign-in
+    if (!USERNAME && !LOOPBACK_HOSTS.includes(HOST)) {
+      throw new Error(`Set EMBEDDED_BROKER_USERNAME and EMBEDDED_BROKER_PASSWORD before binding the embedded broker to ${HOST}`);
+    }
+
+    this.aedes = new Aedes({ authenticate: (client, username, password, callback) => this.authenticate(client, username, password, callback) });
+    this.aedes.on('client', client => {
+      const info = this.info(client);
+      info.connected_at = new Date().toISOString();
+      console.log(`🏠 Embedded broker: ${client.id} connected from ${info.address} (${info.transport})`);
+    });
+    this.aedes.on('clientDisconnect', client => {
+      console.log(`🏠 Embedded broker: ${client.id} disconnected`);
+    });
+    this.aedes.on('publish', (packet, client) => {
+      if (client) {
+        this.info(client).published++;
+      }
+    });
+
+    this.tcpServer = net.createServer(this.aedes.handle);
+    await this.listen(this.tcpServer, TCP_PORT);
+    console.log(`🏠 Embedded MQTT broker listening on mqtt://${HOST}:${TCP_PORT}`);
+
+    if (WS_PORT) {
+      this.httpServer = http.createServer((req, res) => {
+        res.writeHead(426, { 'Content-Type': 'text/plain' });
+        res.end('MQTT over WebSocket only');
+      });
+      this.wss = new WebSocket.Server({ server: this.httpServer });
+      this.wss.on('connection', (ws, req) => {
+        const stream = WebSocket.createWebSocketStream(ws);
+        stream.on('error', () => stream.destroy());
+        this.aedes.handle(stream, req);
+      });
+      await this.listen(this.httpServer, WS_PORT);
+      console.log(`🏠 Embedded MQTT broker listening on ws://${HOST}:${WS_PORT}`);
+    }
+  }
+
+  listen(server, port) {
+    return new Promise((resolve, reject) => {
+      server.once('error', reject);
+      server.listen(port, HOST, () => {
+        server.off('error', reject);
+        resolve();
+      });
+    });
+  }
+
+  async stop() {
+    if (!this.aedes) {
+      return;
+    }
+    if (this.wss) {
+      this.wss.clients.forEach(ws => ws.terminate());
+      this.wss.close();
+    }
+    await Promise.all([this.tcpServer, this.httpServer].filter(server => server && server.listening).map(server =>
+      new Promise(resolve => server.close(resolve))
+    ));
+    await new Promise(resolve => this.aedes.close(resolve));
+    this.aedes = null;
+  }
+
+  // With EMBEDDED_BROKER_USERNAME set every client has to sign in with it; otherwise the broker is open
+  authenticate(client, username, password, callback) {
+    this.info(client).username = username || null;
+    if (!USERNAME) {
+      return callback(null, true);
+    }
+    if (username === USERNAME && password && password.toString() === PASSWORD) {
+      return callback(null, true);
+    }
+    const error = new Error('Bad username or password');
+    error.returnCode = 4;
+    callback(error, false);
+  }
+
+  info(client) {
+    if (!this.clientInfo.has(client)) {
+      const websocket = !!(client.req && client.req.headers);
+      const socket = websocket ? client.req.socket : client.conn;
+      this.clientInfo.set(client, {
+        transport: websocket ? 'websocket' : 'tcp',
+        address: socket && socket.remoteAddress ? `${socket.remoteAddress}:${socket.remotePort}` : 'unknown',
+        username: null,
+        connected_at: null,
+        published: 0
+      });
+    }
+    return this.clientInfo.get(client);
+  }
+
+  // The settings the built-in connection uses to reach the broker from inside this process
+  connectionSettings() {
+    return {
+      host: '127.0.0.1',
+      port: TCP_PORT,
+      protocol: 'mqtt',
+      protocol_version: 4,
+      client_id: MONITOR_CLIENT_ID,
+      username: USERNAME,
+      password: USERNAME ? PASSWORD : null
+    };
+  }
+
+  describe() {
+    const clients = this.aedes ? Object.values(this.aedes.clients) : [];
+    return {
+      enabled: ENABLED,
+      running: this.running,
+      host: HOST,
+      tcp_port: TCP_PORT,
+      ws_port: WS_PORT || null,
+      authentication: !!USERNAME,
+      clients: clients.map(client => {
+        const { username, transport, address, connected_at, published } = this.info(client);
+        return {
+          id: client.id,
+          monitor: client.id === MONITOR_CLIENT_ID,
+          username,
+          transport,
+          address,
+          protocol_version: client.version,
+          clean: client.clean,
+          connected_at,
+          published,
+          subscriptions: Object.entries(client.subscriptions)
+            .map(([topic, subscription]) => ({ topic, qos: subscription.qos }))
+            .sort((a, b) => a.topic.localeCompare(b.topic))
+        };
+      }).sort((a, b) => a.id.localeCompare(b.id))
+    };
+  }
+}
+
+EmbeddedBroker.MONITOR_CLIENT_ID = MONITOR_CLIENT_ID;
+
+module.exports = EmbeddedBroker;
@@ -0,0 +1,198 @@
+const crypto = require("crypto");
+const MessageFilter = require("./message-filter");
+
+const TRANSFORMS = ['none', 'json_path', 'wrap'];
+const ECHO_WINDOW_MS = 10000; // A forwarded message that arrives back within this window is not forwarded again
+const TEMPLATE_PLACEHOLDER = /\{(topic|\d+)\}/g;
+
+// Bridges messages between saved connections. A rule takes messages received on its source connection that
+// match the topic pattern and publishes them on the destination connection, optionally under a rewritten topic
+// ({topic} is the source topic, {1}, {2}, ... its levels), with another QoS and with the payload transformed:
+//   json_path: only the part of a JSON payload the path selects
+//   wrap:      a JSON envelope with the source topic, payload and receive time
+// Counters are kept in memory and start again from zero when the server restarts.
+class MessageForwarder {
+  constructor(database, { publish } = {}) {
+    this.db = database;
+    this.publish = publish;
+    this.rules = [];
+    this.counters = new Map(); // rule id -> { forwarded, dropped, last_error, last_forwarded_at }
+    this.ruleConnections = new Map(); // rule id -> [source connection id, destination connection id]
+    this.echoes = new Map(); // "connectionId|topic|digest" -> time the forwarded copy stops being recognised
+    this.lastEchoPrune = 0;
+  }
+
+  static validateRule(rule) {
+    if (!rule.name) {
+      return 'Rule name is required';
+    }
+    if (!rule.source_connection_id || !rule.destination_connection_id) {
+      return 'Source and destination connections are required';
+    }
+    if (!rule.topic_pattern) {
+      return 'Topic pattern is required';
+    }
+    if (rule.topic_template) {
+      if (rule.topic_template.includes('#') || rule.topic_template.includes('+')) {
+        return 'Topic template cannot contain wildcards';
+      }
+    } else if (rule.source_connection_id === rule.destination_connection_id) {
+      return 'Forwarding within one connection needs a topic template, otherwise messages are republished onto their own topic';
+    }
+    if (rule.qos !== null && rule.qos !== undefined && ![0, 1, 2].includes(rule.qos)) {
+      return 'QoS must be 0, 1 or 2, or empty to keep the QoS of the received message';
+    }
+    if (!TRANSFORMS.includes(rule.payload_transform || 'none')) {
+      return `Payload transform must be one of: ${TRANSFORMS.join(', ')}`;
+    }
+    if (rule.payload_transform === 'json_path') {
+      try {
+        MessageFilter.parsePath(rule.transform_path || '');
+      } catch (error) {
+        return error.message;
+      }
+    }
+    return null;
+  }
+
+  async loadRules() {
+    const rules = await this.db.getForwardRules();
+    this.rules = rules.filter(rule => rule.enabled).map(rule => ({
+      ...rule,
+      path: rule.payload_transform === 'json_path' ? MessageFilter.parsePath(rule.transform_path) : null
+    }));
+
+    // Deleted rules lose their counters; the others keep counting across reloads
+    this.ruleConnections = new Map(rules.map(rule => [rule.id, [rule.source_connection_id, rule.destination_connection_id]]));
+    Array.from(this.counters.keys()).filter(id => !this.ruleConnections.has(id)).forEach(id => this.counters.delete(id));
+    console.log(`🔀 Loaded ${this.rules.length} active forwarding rules`);
+  }
+
+  counter(ruleId) {
+    if (!this.counters.has(ruleId)) {
+      this.counters.set(ruleId, { forwarded: 0, dropped: 0, last_error: null, last_forwarded_at: null });
+    }
+    return this.counters.get(ruleId);
+  }
+
+  // Counters of the rules that have seen a message and touch a connection visible(connectionId) accepts, keyed by rule id
+  stats(visible = () => true) {
+    return Object.fromEntries(Array.from(this.counters).filter(([ruleId]) =>
+      (this.ruleConnections.get(ruleId) || []).some(connectionId => visible(connectionId))
+    ));
+  }
+
+  withStats(rule) {
+    return { ...rule, ...this.counter(rule.id) };
+  }
+
+  static rewriteTopic(topic, template) {
+    if (!template) {
+      return topic;
+    }
+    const levels = topic.split('/');
+    return template.replace(TEMPLATE_PLACEHOLDER, (match, name) => name === 'topic' ? topic : (levels[parseInt(name) - 1] ?? ''));
+  }
+
+  // Returns the payload to publish; throws when a json_path transform has nothing to forward
+  static transformPayload(rule, topic, payload) {
+    switch (rule.payload_transform) {
+      case 'json_path': {
+        let document;
+        try {
+          document = JSON.parse(payload.toString('utf8'));
+        } catch (error) {
+          throw new Error('Payload is not JSON');
+        }
+        const value = MessageFilter.readPath(document, rule.path);
+        if (value === undefined) {
+          throw new Error(`${rule.transform_path} is not in the payload`);
+        }
+        return typeof value === 'string' ? value : JSON.stringify(value);
+      }
+      case 'wrap': {
+        let content = payload.toString('utf8');
+        try {
+          content = JSON.parse(content);
+        } catch (error) {
+          // Text payloads are wrapped as strings
+        }
+        return JSON.stringify({ topic, payload: content, received_at: new Date().toISOString() });
+      }
+    }
+    return payload;
+  }
+
+  static echoKey(connectionId, topic, payload) {
+    const digest = crypto.createHash('sha1').update(payload).digest('base64');
+    return `${connectionId}|${topic}|${digest}`;
+  }
+
+  // A message this forwarder published, delivered back to a connection subscribed to the destination topic
+  isEcho(connectionId, topic, payload) {
+    if (this.echoes.size === 0) {
+      return false;
+    }
+    const now = Date.now();
+    if (now - this.lastEchoPrune > ECHO_WINDOW_MS) {
+      this.echoes.forEach((expires, key) => expires < now && this.echoes.delete(key));
+      this.lastEchoPrune = now;
+    }
+    const key = MessageForwarder.echoKey(connectionId, topic, payload);
+    const expires = this.echoes.get(key);
+    if (expires === undefined || expires < now) {
+      return false;
+    }
+    this.echoes.delete(key);
+    return true;
+  }
+
+  // Called with the raw payload of every received message
+  handleMessage(connectionId, topic, payload, packet, properties) {
+    const rules = this.rules.filter(rule =>
+      rule.source_connection_id === connectionId && MessageFilter.topicMatches(topic, rule.topic_pattern)
+    );
+    if (rules.length === 0 || this.isEcho(connectionId, topic, payload)) {
+      return;
+    }
+
+    // properties is the display copy, where binary correlation data reads 0x<hex>; forward the original bytes
+    const correlationData = packet.properties && packet.properties.correlationData;
+    const forwardedProperties = correlationData ? { ...properties, correlationData } : properties;
+
+    rules.forEach(rule => {
+      const counter = this.counter(rule.id);
+      const drop = (error) => {
+        counter.dropped++;
+        counter.last_error = error.message;
+      };
+
+      let body;
+      const destinationTopic = MessageForwarder.rewriteTopic(topic, rule.topic_template);
+      try {
+        body = MessageForwarder.transformPayload(rule, topic, payload);
+      } catch (error) {
+        return drop(error);
+      }
+
+      const echoKey = MessageForwarder.echoKey(rule.destination_connection_id, destinationTopic, Buffer.from(body));
+      this.echoes.set(echoKey, Date.now() + ECHO_WINDOW_MS);
+
+      this.publish(rule.destination_connection_id, destinationTopic, body, {
+        qos: rule.qos ?? packet.qos,
+        retain: packet.retain,
+        properties: forwardedProperties
+      }).then(() => {
+        counter.forwarded++;
+        counter.last_forwarded_at = new Date().toISOString();
+      }).catch(error => {
+        this.echoes.delete(echoKey);
+        drop(error);
+      });
+    });
+  }
+}
+
+MessageForwarder.TRANSFORMS = TRANSFORMS;
+
+module.exports = MessageForwarder;
@@ -0,0 +1,244 @@
+const PayloadDecoder = require("./payload-decoder");
+
+const FORMATS = {
+  ndjson: { contentType: 'application/x-ndjson; charset=utf-8', extension: 'ndjson' },
+  csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+  archive: { contentType: 'application/x-tar', extension: 'tar' }
+};
+const EXPORT_PAGE_SIZE = 1000;
+const CSV_MAX_JSON_COLUMNS = 200; // Flattened JSON fields beyond this are left out of CSV exports
+const CSV_BASE_COLUMNS = ['id', 'timestamp', 'connection_id', 'topic', 'qos', 'retained', 'size', 'message'];
+const TAR_BLOCK_SIZE = 512;
+
+function csvField(value) {
+  if (value === undefined || value === null) {
+    return '';
+  }
+  const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Leaf values of a JSON document keyed by JSONPath, e.g. { "$.sensor.values[0]": 21.5 }
+function flattenJson(value, path = '$', fields = {}) {
+  if (Array.isArray(value)) {
+    value.forEach((item, index) => flattenJson(item, `${path}[${index}]`, fields));
+  } else if (value && typeof value === 'object') {
+    Object.entries(value).forEach(([key, item]) => {
+      const segment = /^[A-Za-z_$][\w$]*$/.test(key) ? `.${key}` : `[${JSON.stringify(key)}]`;
+      flattenJson(item, path + segment, fields);
+    });
+  } else if (path !== '$') {
+    fields[path] = value;
+  }
+  return fields;
+}
+
+// One ustar header block; names longer than 100 bytes do not occur since entries are named by message id
+function tarHeader(name, size, mtime) {
+  const header = Buffer.alloc(TAR_BLOCK_SIZE);
+  const octal = (value, length) => value.toString(8).padStart(length - 1, '0') + '\0';
+  header.write(name, 0, 100);
+  header.write(octal(0o644, 8), 100);
+  header.write(octal(0, 8), 108);
+  header.write(octal(0, 8), 116);
+  header.write(octal(size, 12), 124);
+  header.write(octal(Math.floor(mtime / 1000), 12), 136);
+  header.write('        ', 148);
+  header.write('0', 156);
+  header.write('ustar\u000000', 257);
+
+  let checksum = 0;
+  for (const byte of header) {
+    checksum += byte;
+  }
+  header.write(checksum.toString(8).padStart(6, '0') + '\0 ', 148);
+  return header;
+}
+
+// Streams stored message history to an HTTP response without holding more than one page in memory
+class MessageExporter {
+  constructor(database, decoders) {
+    this.db = database;
+    this.decoders = decoders;
+  }
+
+  // filter: the stored-message filter (connectionId, topics, from, to); expression: optional MessageFilter
+  async *messages(filter, expression) {
+    let afterId = 0;
+    while (true) {
+      const rows = await this.db.getMessagesAfter(filter, afterId, EXPORT_PAGE_SIZE);
+      if (rows.length === 0) {
+        return;
+      }
+      afterId = rows[rows.length - 1].id;
+
+      for (const row of rows) {
+        const { payload, ...message } = row;
+        const raw = payload ? Buffer.from(payload) : Buffer.from(message.message || '', 'utf8');
+        message.size = raw.length;
+        const decoded = this.decoders.decode(raw, message.connection_id, message.topic);
+        if (decoded) {
+          message.decoded = decoded;
+        }
+        if (!expression || expression.matches(message)) {
+          yield { message, raw };
+        }
+      }
+    }
+  }
+
+  async export(format, res, filter, expression) {
+    switch (format) {
+      case 'ndjson':
+        return this.writeNdjson(res, filter, expression);
+      case 'csv':
+        return this.writeCsv(res, filter, expression);
+      case 'archive':
+        return this.writeArchive(res, filter, expression);
+    }
+    throw new Error(`Unknown export format ${format}`);
+  }
+
+  // Resolves once the response can take more data; false when the client has gone away
+  async write(res, chunk) {
+    if (res.destroyed) {
+      return false;
+    }
+    if (!res.write(chunk)) {
+      await new Promise(resolve => {
+        res.once('drain', resolve);
+        res.once('close', resolve);
+      });
+    }
+    return !res.destroyed;
+  }
+
+  // Text payloads are written as they are; binary ones as base64 next to their decoded form
+  static describe(message, raw) {
+    const entry = {
+      id: message.id,
+      connection_id: message.connection_id,
+      topic: message.topic,
+      timestamp: message.timestamp,
+      qos: message.qos,
+      retained: message.retained,
+      size: message.size
+    };
+    if (message.properties) {
+      entry.properties = message.properties;
+    }
+    if (PayloadDecoder.isUtf8(raw)) {
+      entry.message = raw.toString('utf8');
+    } else {
+      entry.payload_base64 = raw.toString('base64');
+    }
+    if (message.decoded) {
+      entry.decoded = message.decoded;
+    }
+    return entry;
+  }
+
+  // The JSON document of a message: decoded content where a decoder produced one, otherwise the parsed text
+  static jsonContent(message, raw) {
+    if (message.decoded && message.decoded.content && typeof message.decoded.content === 'object') {
+      return message.decoded.content;
+    }
+    if (!PayloadDecoder.isUtf8(raw)) {
+      return null;
+    }
+    try {
+      const value = JSON.parse(raw.toString('utf8'));
+      return value && typeof value === 'object' ? value : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  async writeNdjson(res, filter, expression) {
+    let count = 0;
+    for await (const { message, raw } of this.messages(filter, expression)) {
+      if (!(await this.write(res, JSON.stringify(MessageExporter.describe(message, raw)) + '\n'))) {
+        break;
+      }
+      count++;
+    }
+    res.end();
+    return count;
+  }
+
+  // The header needs every column up front, so a first pass collects the flattened JSON fields
+  async writeCsv(res, filter, expression) {
+    const jsonColumns = new Set();
+    for await (const { message, raw } of this.messages(filter, expression)) {
+      if (res.destroyed) {
+        return 0;
+      }
+      const content = MessageExporter.jsonContent(message, raw);
+      if (content) {
+        for (const path of Object.keys(flattenJson(content))) {
+          if (jsonColumns.size >= CSV_MAX_JSON_COLUMNS) break;
+          jsonColumns.add(path);
+        }
+      }
+    }
+
+    const columns = Array.from(jsonColumns);
+    let count = 0;
+    await this.write(res, [...CSV_BASE_COLUMNS, ...columns].map(csvField).join(',') + '\r\n');
+    for await (const { message, raw } of this.messages(filter, expression)) {
+      const entry = MessageExporter.describe(message, raw);
+      const content = MessageExporter.jsonContent(message, raw);
+      const fields = content ? flattenJson(content) : {};
+      const line = [
+        entry.id,
+        entry.timestamp,
+        entry.connection_id,
+        entry.topic,
+        entry.qos,
+        entry.retained,
+        entry.size,
+        entry.message !== undefined ? entry.message : `base64:${entry.payload_base64}`,
+        ...columns.map(path => fields[path])
+      ].map(csvField).join(',');
+
+      if (!(await this.write(res, line + '\r\n'))) {
+        break;
+      }
+      count++;
+    }
+    res.end();
+    return count;
+  }
+
+  // A tar file with the raw bytes of each message (<id>.bin) and its topic, time and flags (<id>.json)
+  async writeArchive(res, filter, expression) {
+    let count = 0;
+    for await (const { message, raw } of this.messages(filter, expression)) {
+      const mtime = new Date(message.timestamp).getTime() || Date.now();
+      const { message: text, payload_base64, decoded, ...metadata } = MessageExporter.describe(message, raw);
+      const sidecar = Buffer.from(JSON.stringify(metadata, null, 2) + '\n');
+
+      const written = await this.writeTarEntry(res, `messages/${message.id}.json`, sidecar, mtime) &&
+        await this.writeTarEntry(res, `messages/${message.id}.bin`, raw, mtime);
+      if (!written) {
+        break;
+      }
+      count++;
+    }
+    await this.write(res, Buffer.alloc(TAR_BLOCK_SIZE * 2));
+    res.end();
+    return count;
+  }
+
+  async writeTarEntry(res, name, data, mtime) {
+    const padding = (TAR_BLOCK_SIZE - (data.length % TAR_BLOCK_SIZE)) % TAR_BLOCK_SIZE;
+    return await this.write(res, tarHeader(name, data.length, mtime)) &&
+      await this.write(res, data) &&
+      (padding === 0 || await this.write(res, Buffer.alloc(padding)));
+  }
+}
+
+MessageExporter.FORMATS = FORMATS;
+MessageExporter.flattenJson = flattenJson;
+
+module.exports = MessageExporter;
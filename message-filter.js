@@ -0,0 +1,378 @@
+// Filter expressions evaluated against received messages, e.g.
+//   topic == "sensors/#" && $.temperature > 30
+//   payload =~ /error/i || (qos >= 1 and not retained)
+//
+// Operands: topic (compared with MQTT wildcards), payload, qos, retained and JSONPath
+// expressions into the JSON payload ($.a.b, $.list[0], $['key with spaces']).
+// Operators: == != > >= < <= =~ !~ combined with && || ! (or and / or / not) and parentheses.
+// An operand on its own is true when it exists and is not false, 0 or empty.
+// Regular expressions use RE2 syntax (no backreferences or lookaround) with the flags i, m and s; matching takes
+// linear time, so a pattern from any viewer cannot stall the server on a crafted payload.
+
+const { RE2JS } = require("re2js");
+const RequestError = require("./request-error");
+
+const MAX_EXPRESSION_LENGTH = 1000;
+const FIELDS = ['topic', 'payload', 'qos', 'retained'];
+const COMPARISONS = ['==', '!=', '>', '>=', '<', '<=', '=~', '!~'];
+
+function syntaxError(message) {
+  return new RequestError(`Invalid filter: ${message}`);
+}
+
+// MQTT topic matching: + is one level, # is any number of trailing levels
+function topicMatches(topic, pattern) {
+  const topicLevels = topic.split('/');
+  const patternLevels = pattern.split('/');
+
+  for (let i = 0; i < patternLevels.length; i++) {
+    if (patternLevels[i] === '#') {
+      return true;
+    }
+    if (i >= topicLevels.length || (patternLevels[i] !== '+' && patternLevels[i] !== topicLevels[i])) {
+      return false;
+    }
+  }
+  return topicLevels.length === patternLevels.length;
+}
+
+// Whether some topic matches both patterns, e.g. sensors/+ and sensors/a/# share sensors/a
+function topicPatternsOverlap(first, second) {
+  const firstLevels = first.split('/');
+  const secondLevels = second.split('/');
+
+  for (let i = 0; i < Math.max(firstLevels.length, secondLevels.length); i++) {
+    if (firstLevels[i] === '#' || secondLevels[i] === '#') {
+      return true;
+    }
+    if (firstLevels[i] === undefined || secondLevels[i] === undefined) {
+      return false;
+    }
+    if (firstLevels[i] !== '+' && secondLevels[i] !== '+' && firstLevels[i] !== secondLevels[i]) {
+      return false;
+    }
+  }
+  return true;
+}
+
+// Split a JSONPath such as $.a.b[0]['c d'] into ['a', 'b', 0, 'c d']
+function parsePath(path) {
+  const segments = [];
+  const segmentPattern = /\.([A-Za-z_][\w-]*)|\[\s*(\d+)\s*\]|\[\s*'([^']*)'\s*\]|\[\s*"([^"]*)"\s*\]/y;
+
+  if (!path.startsWith('$')) {
+    throw syntaxError(`JSONPath must start with $: ${path}`);
+  }
+
+  let index = 1;
+  while (index < path.length) {
+    segmentPattern.lastIndex = index;
+    const match = segmentPattern.exec(path);
+    if (!match) {
+      throw syntaxError(`unsupported JSONPath segment at "${path.slice(index)}"`);
+    }
+    segments.push(match[2] !== undefined ? parseInt(match[2]) : (match[1] ?? match[3] ?? match[4]));
+    index = segmentPattern.lastIndex;
+  }
+  return segments;
+}
+
+function readPath(value, segments) {
+  return segments.reduce((current, segment) => {
+    if (current === null || current === undefined || typeof current !== 'object') {
+      return undefined;
+    }
+    return current[segment];
+  }, value);
+}
+
+const REGEX_FLAGS = { i: RE2JS.CASE_INSENSITIVE, m: RE2JS.MULTILINE, s: RE2JS.DOTALL };
+
+function compileRegex(source, flags = '') {
+  let flagBits = 0;
+  for (const flag of flags) {
+    if (!REGEX_FLAGS[flag]) {
+      throw syntaxError(`unsupported regular expression flag "${flag}"`);
+    }
+    flagBits |= REGEX_FLAGS[flag];
+  }
+  try {
+    return RE2JS.compile(source, flagBits);
+  } catch (error) {
+    throw syntaxError(error.message);
+  }
+}
+
+function tokenize(expression) {
+  const tokens = [];
+  let index = 0;
+
+  while (index < expression.length) {
+    const char = expression[index];
+    const rest = expression.slice(index);
+
+    if (/\s/.test(char)) {
+      index++;
+      continue;
+    }
+
+    if (char === '(' || char === ')') {
+      tokens.push({ type: char });
+      index++;
+      continue;
+    }
+
+    const operator = ['&&', '||', '==', '!=', '>=', '<=', '=~', '!~', '>', '<', '!', '='].find(op => rest.startsWith(op));
+    if (operator) {
+      tokens.push({ type: 'op', value: operator === '=' ? '==' : operator });
+      index += operator.length;
+      continue;
+    }
+
+    if (char === '"' || char === "'") {
+      let value = '';
+      let end = index + 1;
+      while (end < expression.length && expression[end] !== char) {
+        value += expression[end] === '\\' && end + 1 < expression.length ? expression[++end] : expression[end];
+        end++;
+      }
+      if (end >= expression.length) {
+        throw syntaxError('unterminated string');
+      }
+      tokens.push({ type: 'value', value });
+      index = end + 1;
+      continue;
+    }
+
+    const previous = tokens[tokens.length - 1];
+    if (char === '/' && previous && previous.type === 'op' && (previous.value === '=~' || previous.value === '!~')) {
+      const match = /^\/((?:\\.|[^\\/])+)\/([a-z]*)/.exec(rest);
+      if (!match) {
+        throw syntaxError('unterminated regular expression');
+      }
+      tokens.push({ type: 'value', value: compileRegex(match[1], match[2]) });
+      index += match[0].length;
+      continue;
+    }
+
+    if (char === '$') {
+      const match = /^\$(?:\.[A-Za-z_][\w-]*|\[\s*(?:\d+|'[^']*'|"[^"]*")\s*\])*/.exec(rest);
+      tokens.push({ type: 'path', value: match[0], segments: parsePath(match[0]) });
+      index += match[0].length;
+      continue;
+    }
+
+    // Bare words: keywords, numbers, or unquoted strings such as topic patterns
+    const match = /^[A-Za-z0-9_\/+#.\-:]+/.exec(rest);
+    if (!match) {
+      throw syntaxError(`unexpected character "${char}"`);
+    }
+
+    const word = match[0];
+    const keyword = word.toLowerCase();
+    if (keyword === 'and') tokens.push({ type: 'op', value: '&&' });
+    else if (keyword === 'or') tokens.push({ type: 'op', value: '||' });
+    else if (keyword === 'not') tokens.push({ type: 'op', value: '!' });
+    else if (FIELDS.includes(keyword)) tokens.push({ type: 'field', value: keyword });
+    else if (keyword === 'true' || keyword === 'false') tokens.push({ type: 'value', value: keyword === 'true' });
+    else if (keyword === 'null') tokens.push({ type: 'value', value: null });
+    else if (/^-?\d+(\.\d+)?$/.test(word)) tokens.push({ type: 'value', value: parseFloat(word) });
+    else tokens.push({ type: 'value', value: word });
+    index += word.length;
+  }
+
+  return tokens;
+}
+
+function isTruthy(value) {
+  return value !== undefined && value !== null && value !== false && value !== 0 && value !== '';
+}
+
+function compare(field, left, operator, right) {
+  if (operator === '=~' || operator === '!~') {
+    const text = left === undefined || left === null ? null : (typeof left === 'object' ? JSON.stringify(left) : String(left));
+    const matched = text !== null && right.matcher(text).find();
+    return operator === '=~' ? matched : !matched;
+  }
+
+  if (operator === '==' || operator === '!=') {
+    let equal;
+    if (field === 'topic' && typeof right === 'string') {
+      equal = topicMatches(left, right);
+    } else if (right === null) {
+      equal = left === null || left === undefined;
+    } else if (typeof right === 'number') {
+      equal = left !== null && left !== undefined && left !== '' && Number(left) === right;
+    } else if (typeof right === 'boolean') {
+      equal = left === right;
+    } else {
+      equal = left !== undefined && left !== null && String(left) === String(right);
+    }
+    return operator === '==' ? equal : !equal;
+  }
+
+  // Ordering compares numbers, or strings when both sides are strings
+  if (left === undefined || left === null) {
+    return false;
+  }
+  let a = left;
+  let b = right;
+  if (typeof left !== 'string' || typeof right !== 'string') {
+    a = Number(left);
+    b = Number(right);
+    if (Number.isNaN(a) || Number.isNaN(b)) {
+      return false;
+    }
+  }
+  switch (operator) {
+    case '>': return a > b;
+    case '>=': return a >= b;
+    case '<': return a < b;
+    case '<=': return a <= b;
+  }
+  return false;
+}
+
+class MessageFilter {
+  constructor(expression) {
+    this.expression = String(expression || '').trim();
+    if (!this.expression) {
+      throw syntaxError('expression is empty');
+    }
+    if (this.expression.length > MAX_EXPRESSION_LENGTH) {
+      throw syntaxError(`expression is longer than ${MAX_EXPRESSION_LENGTH} characters`);
+    }
+
+    this.tokens = tokenize(this.expression);
+    this.position = 0;
+    this.evaluate = this.parseOr();
+    if (this.position < this.tokens.length) {
+      throw syntaxError(`unexpected "${this.describe(this.tokens[this.position])}"`);
+    }
+    delete this.tokens;
+  }
+
+  // True when a message ({ topic, message, qos, retained }) satisfies the expression
+  matches(message) {
+    const context = { message, json: undefined, jsonParsed: false };
+    return this.evaluate(context);
+  }
+
+  peekOperator(...operators) {
+    const token = this.tokens[this.position];
+    return token && token.type === 'op' && operators.includes(token.value) ? token.value : null;
+  }
+
+  describe(token) {
+    return token.value instanceof RE2JS ? `/${token.value.pattern()}/` : (token.value ?? token.type);
+  }
+
+  parseOr() {
+    let left = this.parseAnd();
+    while (this.peekOperator('||')) {
+      this.position++;
+      const a = left;
+      const b = this.parseAnd();
+      left = (context) => a(context) || b(context);
+    }
+    return left;
+  }
+
+  parseAnd() {
+    let left = this.parseUnary();
+    while (this.peekOperator('&&')) {
+      this.position++;
+      const a = left;
+      const b = this.parseUnary();
+      left = (context) => a(context) && b(context);
+    }
+    return left;
+  }
+
+  parseUnary() {
+    if (this.peekOperator('!')) {
+      this.position++;
+      const operand = this.parseUnary();
+      return (context) => !operand(context);
+    }
+    return this.parsePrimary();
+  }
+
+  parsePrimary() {
+    const token = this.tokens[this.position++];
+    if (!token) {
+      throw syntaxError('unexpected end of expression');
+    }
+
+    if (token.type === '(') {
+      const inner = this.parseOr();
+      const closing = this.tokens[this.position++];
+      if (!closing || closing.type !== ')') {
+        throw syntaxError('missing closing parenthesis');
+      }
+      return inner;
+    }
+
+    if (token.type !== 'field' && token.type !== 'path') {
+      throw syntaxError(`expected topic, payload, qos, retained or a JSONPath but found "${this.describe(token)}"`);
+    }
+
+    const read = this.operandReader(token);
+    const operator = this.peekOperator(...COMPARISONS);
+    if (!operator) {
+      return (context) => isTruthy(read(context));
+    }
+
+    this.position++;
+    const valueToken = this.tokens[this.position++];
+    if (!valueToken || valueToken.type !== 'value') {
+      throw syntaxError(`expected a value after "${operator}"`);
+    }
+    const field = token.type === 'field' ? token.value : null;
+    // A quoted or bare value after =~ is a pattern too, compiled once here rather than per message
+    const right = (operator === '=~' || operator === '!~') && !(valueToken.value instanceof RE2JS)
+      ? compileRegex(String(valueToken.value))
+      : valueToken.value;
+    return (context) => compare(field, read(context), operator, right);
+  }
+
+  operandReader(token) {
+    if (token.type === 'path') {
+      const segments = token.segments;
+      return (context) => readPath(MessageFilter.payloadJson(context), segments);
+    }
+
+    switch (token.value) {
+      case 'topic': return (context) => context.message.topic;
+      case 'payload': return (context) => context.message.message;
+      case 'qos': return (context) => context.message.qos;
+      case 'retained': return (context) => !!context.message.retained;
+    }
+  }
+
+  // Payloads are parsed at most once per message, and only when a JSONPath needs them.
+  // Binary payloads decoded into objects (CBOR, MessagePack, Protobuf) are used as they are.
+  static payloadJson(context) {
+    if (!context.jsonParsed) {
+      context.jsonParsed = true;
+      const decoded = context.message.decoded;
+      if (decoded && decoded.content && typeof decoded.content === 'object') {
+        context.json = decoded.content;
+        return context.json;
+      }
+      try {
+        context.json = JSON.parse(context.message.message);
+      } catch (error) {
+        context.json = undefined;
+      }
+    }
+    return context.json;
+  }
+}
+
+MessageFilter.topicMatches = topicMatches;
+MessageFilter.topicPatternsOverlap = topicPatternsOverlap;
+MessageFilter.parsePath = parsePath;
+MessageFilter.readPath = readPath;
+
+module.exports = MessageFilter;
@@ -0,0 +1,170 @@
+const cbor = require("cbor-x");
+const msgpack = require("@msgpack/msgpack");
+const protobuf = require("protobufjs");
+const MessageFilter = require("./message-filter");
+const RequestError = require("./request-error");
+
+const DECODERS = ['utf8', 'hex', 'base64', 'cbor', 'msgpack', 'protobuf'];
+const HEX_DUMP_LIMIT = 4096; // Bytes shown in a hex dump before it is cut off
+
+// Payloads that survive a UTF-8 round trip are text; anything else is binary
+function isUtf8(raw) {
+  return Buffer.from(raw.toString('utf8'), 'utf8').equals(raw);
+}
+
+function hexDump(raw) {
+  const lines = [];
+  const length = Math.min(raw.length, HEX_DUMP_LIMIT);
+
+  for (let offset = 0; offset < length; offset += 16) {
+    const chunk = raw.subarray(offset, Math.min(offset + 16, length));
+    const hex = Array.from(chunk, byte => byte.toString(16).padStart(2, '0')).join(' ');
+    const ascii = Array.from(chunk, byte => (byte >= 0x20 && byte < 0x7f ? String.fromCharCode(byte) : '.')).join('');
+    lines.push(`${offset.toString(16).padStart(8, '0')}  ${hex.padEnd(47)}  |${ascii}|`);
+  }
+  if (raw.length > length) {
+    lines.push(`... ${raw.length - length} more bytes`);
+  }
+  return lines.join('\n');
+}
+
+// Turn decoder output (Maps, byte arrays, BigInts, tags) into plain JSON values
+function toJsonValue(value, depth = 0) {
+  if (depth > 32) {
+    return '[nested too deep]';
+  }
+  if (typeof value === 'bigint') {
+    return value.toString();
+  }
+  if (value instanceof Uint8Array) {
+    return `0x${Buffer.from(value).toString('hex')}`;
+  }
+  if (value instanceof Date) {
+    return value.toISOString();
+  }
+  if (value instanceof Map) {
+    const object = {};
+    value.forEach((entry, key) => {
+      object[String(key)] = toJsonValue(entry, depth + 1);
+    });
+    return object;
+  }
+  if (Array.isArray(value)) {
+    return value.map(entry => toJsonValue(entry, depth + 1));
+  }
+  if (value && typeof value === 'object') {
+    const object = {};
+    Object.keys(value).forEach(key => {
+      object[key] = toJsonValue(value[key], depth + 1);
+    });
+    return object;
+  }
+  return value;
+}
+
+class PayloadDecoder {
+  constructor() {
+    this.rules = [];
+  }
+
+  // Rules come from the payload_decoders table; Protobuf schemas are compiled once here
+  setRules(rules) {
+    this.rules = rules.map(rule => {
+      const compiled = { ...rule, type: null, error: null };
+      if (rule.decoder === 'protobuf') {
+        try {
+          compiled.type = PayloadDecoder.compileProtobuf(rule.proto_schema, rule.proto_type);
+        } catch (error) {
+          compiled.error = error.message;
+          console.error(`❌ Protobuf decoder for "${rule.topic_pattern}" is unusable:`, error.message);
+        }
+      }
+      return compiled;
+    });
+  }
+
+  static compileProtobuf(schema, typeName) {
+    if (!schema || !typeName) {
+      throw new RequestError('Protobuf decoders need a .proto schema and a message type');
+    }
+
+    let root;
+    try {
+      root = protobuf.parse(schema, { keepCase: true }).root;
+    } catch (error) {
+      throw new RequestError(`Invalid .proto schema: ${error.message}`);
+    }
+
+    try {
+      return root.lookupType(typeName);
+    } catch (error) {
+      throw new RequestError(`Message type "${typeName}" not found in the .proto schema`);
+    }
+  }
+
+  // Check a rule before it is saved; returns an error message or null
+  static validateRule(rule) {
+    if (!rule.topic_pattern) {
+      return 'Topic pattern is required';
+    }
+    if (!DECODERS.includes(rule.decoder)) {
+      return `Decoder must be one of: ${DECODERS.join(', ')}`;
+    }
+    if (rule.decoder === 'protobuf') {
+      try {
+        PayloadDecoder.compileProtobuf(rule.proto_schema, rule.proto_type);
+      } catch (error) {
+        return error.message;
+      }
+    }
+    return null;
+  }
+
+  // First rule whose connection and topic pattern match; rules without a connection apply to all
+  findRule(connectionId, topic) {
+    return this.rules.find(rule =>
+      (!rule.connection_id || rule.connection_id === connectionId) &&
+      MessageFilter.topicMatches(topic, rule.topic_pattern)
+    );
+  }
+
+  // Returns { decoder, content, error } for the UI, or null for plain text payloads without a rule
+  decode(raw, connectionId, topic) {
+    const rule = this.findRule(connectionId, topic);
+    if (!rule) {
+      return isUtf8(raw) ? null : { decoder: 'hex', content: hexDump(raw) };
+    }
+
+    try {
+      return { decoder: rule.decoder, content: this.decodeWith(rule, raw) };
+    } catch (error) {
+      return { decoder: rule.decoder, content: hexDump(raw), error: `${rule.decoder} decoding failed: ${error.message}` };
+    }
+  }
+
+  decodeWith(rule, raw) {
+    switch (rule.decoder) {
+      case 'utf8':
+        return raw.toString('utf8');
+      case 'hex':
+        return hexDump(raw);
+      case 'base64':
+        return raw.toString('base64');
+      case 'cbor':
+        return toJsonValue(cbor.decode(raw));
+      case 'msgpack':
+        return toJsonValue(msgpack.decode(raw, { useBigInt64: true }));
+      case 'protobuf':
+        if (!rule.type) {
+          throw new Error(rule.error || 'schema not loaded');
+        }
+        return rule.type.toObject(rule.type.decode(raw), { longs: String, enums: String, bytes: String });
+    }
+    throw new Error(`unknown decoder ${rule.decoder}`);
+  }
+}
+
+PayloadDecoder.DECODERS = DECODERS;
+PayloadDecoder.isUtf8 = isUtf8;
+
+module.exports = PayloadDecoder;
@@ -0,0 +1,64 @@
+// Builds a scrape response in the Prometheus text exposition format (version 0.0.4).
+// Each metric is declared once with its type and help text, then given samples with labels.
+const CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+function escapeLabelValue(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+function formatValue(value) {
+  if (value === Infinity) return '+Inf';
+  if (value === -Infinity) return '-Inf';
+  if (Number.isNaN(value)) return 'NaN';
+  return String(value);
+}
+
+class PrometheusMetrics {
+  constructor(prefix = '') {
+    this.prefix = prefix;
+    this.metrics = new Map(); // name -> { type, help, samples: [{ labels, value }] }
+  }
+
+  declare(name, type, help) {
+    const fullName = this.prefix + name;
+    if (!this.metrics.has(fullName)) {
+      this.metrics.set(fullName, { type, help, samples: [] });
+    }
+    return fullName;
+  }
+
+  counter(name, help) {
+    return this.declare(name, 'counter', help);
+  }
+
+  gauge(name, help) {
+    return this.declare(name, 'gauge', help);
+  }
+
+  sample(name, labels, value) {
+    const metric = this.metrics.get(this.prefix + name);
+    if (!metric) {
+      throw new Error(`Metric ${name} has not been declared`);
+    }
+    metric.samples.push({ labels: labels || {}, value });
+  }
+
+  toString() {
+    const lines = [];
+    this.metrics.forEach((metric, name) => {
+      lines.push(`# HELP ${name} ${metric.help.replace(/\\/g, '\\\\').replace(/\n/g, '\\n')}`);
+      lines.push(`# TYPE ${name} ${metric.type}`);
+      metric.samples.forEach(({ labels, value }) => {
+        const labelText = Object.entries(labels)
+          .map(([key, labelValue]) => `${key}="${escapeLabelValue(labelValue)}"`)
+          .join(',');
+        lines.push(`${name}${labelText ? `{${labelText}}` : ''} ${formatValue(value)}`);
+      });
+    });
+    return lines.join('\n') + '\n';
+  }
+}
+
+PrometheusMetrics.CONTENT_TYPE = CONTENT_TYPE;
+
+module.exports = PrometheusMetrics;
@@ -0,0 +1,11 @@
+// An error caused by the request rather than the server. Route handlers answer it with its statusCode
+// (400 unless given) and its message; any other error becomes a 500.
+class RequestError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'RequestError';
+    this.statusCode = statusCode;
+  }
+}
+
+module.exports = RequestError;
@@ -0,0 +1,135 @@
+const mqtt = require("mqtt");
+const RequestError = require("./request-error");
+
+const SCAN_QUIET_MS = 1500; // A scan ends once no retained message has arrived for this long
+const SCAN_MAX_MS = 15000;
+const SCAN_MESSAGE_LIMIT = parseInt(process.env.RETAINED_SCAN_LIMIT) || 5000;
+const CONNECT_TIMEOUT_MS = 10000;
+
+// Finds and clears the retained messages a broker holds. Each scan or clear runs on its own short-lived
+// client with a clean session, so the monitored connection keeps its subscriptions and message flow.
+class RetainedScanner {
+  constructor({ buildConnectOptions, decode }) {
+    this.buildConnectOptions = buildConnectOptions;
+    this.decode = decode;
+  }
+
+  // Connect a temporary client for the connection, run fn with it, and always end it afterwards
+  async withClient(connection, fn) {
+    const { brokerUrl, options } = this.buildConnectOptions(connection);
+    // A second session under the same client id would make the broker drop the monitored one
+    const suffix = Date.now().toString(36);
+    const client = mqtt.connect(brokerUrl, {
+      ...options,
+      clientId: options.protocolId === 'MQIsdp' ? `mqtt_ret_${suffix}` : `${options.clientId}_retained_${suffix}`,
+      clean: true,
+      reconnectPeriod: 0,
+      connectTimeout: CONNECT_TIMEOUT_MS
+    });
+
+    try {
+      await new Promise((resolve, reject) => {
+        client.once('connect', resolve);
+        client.on('error', reject);
+        client.once('close', () => reject(new Error('Broker closed the connection')));
+      });
+      return await fn(client);
+    } catch (error) {
+      throw new RequestError(`Broker ${connection.name}: ${error.message}`, 502);
+    } finally {
+      client.end(true);
+    }
+  }
+
+  // Subscribe to the pattern and collect what the broker delivers with the retain flag set
+  async scan(connection, pattern) {
+    if (!pattern || typeof pattern !== 'string') {
+      throw new RequestError('Topic pattern is required');
+    }
+
+    return this.withClient(connection, client => new Promise((resolve, reject) => {
+      const messages = new Map();
+      let truncated = false;
+      let quietTimer = null;
+      let maxTimer = null;
+
+      const finish = () => {
+        clearTimeout(quietTimer);
+        clearTimeout(maxTimer);
+        const sorted = Array.from(messages.values()).sort((a, b) => a.topic.localeCompare(b.topic));
+        resolve({ pattern, messages: sorted, truncated });
+      };
+      const restartQuietTimer = () => {
+        clearTimeout(quietTimer);
+        quietTimer = setTimeout(finish, SCAN_QUIET_MS);
+      };
+
+      client.on('message', (topic, payload, packet) => {
+        // Live publishes arriving during the scan are not retained state
+        if (!packet.retain) {
+          return;
+        }
+        if (messages.size >= SCAN_MESSAGE_LIMIT && !messages.has(topic)) {
+          truncated = true;
+          return finish();
+        }
+
+        const message = {
+          topic,
+          message: payload.toString(),
+          size: payload.length,
+          qos: packet.qos,
+          receivedAt: new Date().toISOString()
+        };
+        const decoded = this.decode(payload, connection.id, topic);
+        if (decoded) {
+          message.decoded = decoded;
+        }
+        messages.set(topic, message);
+        restartQuietTimer();
+      });
+
+      client.subscribe(pattern, { qos: 0 }, (error, granted) => {
+        if (error) {
+          return reject(error);
+        }
+        if (granted && granted.some(grant => grant.qos === 128)) {
+          return reject(new Error(`Subscription to ${pattern} was refused`));
+        }
+        restartQuietTimer();
+        maxTimer = setTimeout(finish, SCAN_MAX_MS);
+      });
+    }));
+  }
+
+  // An empty retained publish removes the retained message of a topic
+  async clear(connection, topics) {
+    if (!Array.isArray(topics) || topics.length === 0) {
+      throw new RequestError('Select at least one topic to clear');
+    }
+    const invalid = topics.find(topic => typeof topic !== 'string' || !topic || topic.includes('#') || topic.includes('+'));
+    if (invalid !== undefined) {
+      throw new RequestError(`Cannot clear "${invalid}": retained messages are cleared per topic, without wildcards`);
+    }
+
+    return this.withClient(connection, async client => {
+      const cleared = [];
+      const errors = [];
+      for (const topic of topics) {
+        try {
+          await new Promise((resolve, reject) => {
+            client.publish(topic, '', { qos: 1, retain: true }, error => error ? reject(error) : resolve());
+          });
+          cleared.push(topic);
+        } catch (error) {
+          errors.push({ topic, error: error.message });
+        }
+      }
+      return { cleared, errors };
+    });
+  }
+}
+
+RetainedScanner.SCAN_MESSAGE_LIMIT = SCAN_MESSAGE_LIMIT;
+
+module.exports = RetainedScanner;
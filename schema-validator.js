@@ -0,0 +1,112 @@
+const Ajv = require("ajv");
+const addFormats = require("ajv-formats");
+const MessageFilter = require("./message-filter");
+const RequestError = require("./request-error");
+
+const MAX_REPORTED_ERRORS = 10;
+
+// Validates incoming payloads against the JSON Schema attached to the subscription (mqtt_topics row) they arrived on.
+// When several subscriptions with a schema match a topic, the most specific pattern wins.
+class SchemaValidator {
+  constructor() {
+    this.ajv = SchemaValidator.createAjv();
+    this.rules = [];
+  }
+
+  static createAjv() {
+    const ajv = new Ajv({ allErrors: true, strict: false });
+    addFormats(ajv);
+    return ajv;
+  }
+
+  // Rows of mqtt_topics; schemas that do not compile are logged and skipped.
+  // Ajv keeps every schema it compiled, so each reload starts from a fresh instance.
+  setRules(topics) {
+    this.ajv = SchemaValidator.createAjv();
+    this.rules = topics
+      .filter(topic => topic.json_schema)
+      .map(topic => {
+        try {
+          return { ...topic, validate: this.compile(topic.json_schema) };
+        } catch (error) {
+          console.error(`❌ JSON Schema for "${topic.topic}" is unusable:`, error.message);
+          return null;
+        }
+      })
+      .filter(Boolean)
+      .sort((a, b) => SchemaValidator.specificity(b.topic) - SchemaValidator.specificity(a.topic));
+  }
+
+  // Exact topics first, then single-level wildcards, then multi-level ones; longer patterns before shorter
+  static specificity(pattern) {
+    const wildcardPenalty = pattern.includes('#') ? 2000 : pattern.includes('+') ? 1000 : 0;
+    return pattern.length - wildcardPenalty;
+  }
+
+  compile(schemaText, ajv = this.ajv) {
+    let schema;
+    try {
+      schema = typeof schemaText === 'string' ? JSON.parse(schemaText) : schemaText;
+    } catch (error) {
+      throw new RequestError(`JSON Schema is not valid JSON: ${error.message}`);
+    }
+    if (!schema || typeof schema !== 'object') {
+      throw new RequestError('JSON Schema must be an object');
+    }
+
+    try {
+      // Ajv refuses a second schema with the same $id, e.g. one schema pasted onto two topics
+      const { $id, ...withoutId } = schema;
+      return ajv.compile(withoutId);
+    } catch (error) {
+      throw new RequestError(`Invalid JSON Schema: ${error.message}`);
+    }
+  }
+
+  // Check a schema before it is saved; returns an error message or null
+  checkSchema(schemaText) {
+    try {
+      this.compile(schemaText, SchemaValidator.createAjv());
+      return null;
+    } catch (error) {
+      return error.message;
+    }
+  }
+
+  findRule(connectionId, topic) {
+    return this.rules.find(rule => rule.connection_id === connectionId && MessageFilter.topicMatches(topic, rule.topic));
+  }
+
+  // Returns null when no schema applies or the payload is valid, otherwise { topicId, notify, errors }.
+  // The payload is the decoded content when a decoder produced one, else the text parsed as JSON.
+  validate(connectionId, topic, text, decoded) {
+    const rule = this.findRule(connectionId, topic);
+    if (!rule) {
+      return null;
+    }
+
+    let value;
+    if (decoded && decoded.content !== null && typeof decoded.content === 'object') {
+      value = decoded.content;
+    } else {
+      try {
+        value = JSON.parse(text);
+      } catch (error) {
+        return { topicId: rule.id, notify: !!rule.schema_notify, errors: ['Payload is not valid JSON'] };
+      }
+    }
+
+    if (rule.validate(value)) {
+      return null;
+    }
+    const errors = rule.validate.errors.slice(0, MAX_REPORTED_ERRORS).map(error =>
+      `${error.instancePath || '/'} ${error.message}${error.params && error.params.additionalProperty ? ` (${error.params.additionalProperty})` : ''}`
+    );
+    if (rule.validate.errors.length > MAX_REPORTED_ERRORS) {
+      errors.push(`... ${rule.validate.errors.length - MAX_REPORTED_ERRORS} more`);
+    }
+    return { topicId: rule.id, notify: !!rule.schema_notify, errors };
+  }
+}
+
+module.exports = SchemaValidator;
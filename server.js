@@ -6,31 +6,111 @@ const cors = require('cors');
 const bodyParser = require('body-parser');
 const path = require('path');
 const Database = require('./database');
+const AuthService = require('./auth');
+const CredentialCipher = require('./credentials');
+const MessageFilter = require('./message-filter');
+const PayloadDecoder = require('./payload-decoder');
+const AlertEngine = require('./alert-engine');
+const ThroughputStats = require('./throughput-stats');
+const PrometheusMetrics = require('./prometheus-metrics');
+const SessionRecorder = require('./session-recorder');
+const MessageExporter = require('./message-export');
+const RetainedScanner = require('./retained-scanner');
+const SchemaValidator = require('./schema-validator');
+const MessageForwarder = require('./forward-engine');
+const EmbeddedBroker = require('./embedded-broker');
+const TrafficSimulator = require('./traffic-simulator');
+const RequestError = require('./request-error');
+
+// Stored messages scanned when history is requested with a filter expression
+const FILTER_SCAN_LIMIT = 5000;
+// How often connection throughput is pushed to browsers as a 'stats' event
+const STATS_INTERVAL_MS = 2000;
+// Messages accepted by one /api/publish/batch request
+const PUBLISH_BATCH_LIMIT = 500;
+// Schema violation notifications are sent at most this often per topic
+const SCHEMA_NOTIFY_INTERVAL_MS = 60000;
 
 class MQTTMonitor {
   constructor() {
     this.app = express();
     this.server = http.createServer(this.app);
-    this.wss = new WebSocket.Server({ server: this.server });
     this.db = new Database();
+    this.auth = new AuthService(this.db);
+    this.decoders = new PayloadDecoder();
+    this.schemas = new SchemaValidator();
+    this.schemaNotifiedAt = new Map(); // "connectionId|topic" -> time of the last violation notification
+    this.exporter = new MessageExporter(this.db, this.decoders);
+    this.retained = new RetainedScanner({
+      buildConnectOptions: (connection) => this.buildConnectOptions(connection),
+      decode: (raw, connectionId, topic) => this.decoders.decode(raw, connectionId, topic)
+    });
+    this.throughput = new ThroughputStats();
+    this.alertRecipients = new Map(); // alert id -> WebSocket client ids that were sent the alert
+    this.alerts = new AlertEngine(this.db, {
+      logFile: process.env.ALERT_LOG_FILE || path.join(this.db.dataDirectory, 'alerts.log'),
+      onAlert: (alert) => {
+        this.alertRecipients.set(alert.id, this.sendToTopicViewers({ type: 'alert', alert }, alert.connection_id, alert.topic));
+      },
+      // Everyone who was sent the alert hears when it is acknowledged or resolved
+      onAlertUpdate: (alert) => {
+        this.sendToTopicViewers({ type: 'alertUpdate', alert }, alert.connection_id, alert.topic, this.alertRecipients.get(alert.id));
+        if (alert.status === 'resolved') {
+          this.alertRecipients.delete(alert.id);
+        }
+      },
+      isConnectionActive: (connectionId) => connectionId
+        ? !!(this.mqttClients.get(connectionId) && this.mqttClients.get(connectionId).connected)
+        : Array.from(this.mqttClients.values()).some(client => client.connected)
+    });
+    this.recorder = new SessionRecorder(this.db, {
+      getClient: (connectionId) => this.mqttClients.get(connectionId),
+      publish: (connectionId, topic, payload, options) => this.publishMessage(connectionId, topic, payload, options),
+      onRecordingUpdate: (recording) => this.broadcast({ type: 'recording', recording }),
+      onReplayUpdate: (replay) => this.broadcast({ type: 'replay', replay })
+    });
+    this.embeddedBroker = new EmbeddedBroker();
+    this.simulator = new TrafficSimulator({
+      publish: (connectionId, topic, payload, options) => this.publishMessage(connectionId, topic, payload, options),
+      onUpdate: (simulator) => this.broadcast({ type: 'simulator', simulator })
+    });
+    this.forwarder = new MessageForwarder(this.db, {
+      publish: (connectionId, topic, payload, options) => this.publishMessage(connectionId, topic, payload, options)
+    });
+    this.wss = new WebSocket.Server({
+      server: this.server,
+      verifyClient: (info, done) => this.verifyWebSocketClient(info, done)
+    });
     this.mqttClients = new Map(); // Store multiple MQTT connections
     this.wsClients = new Map(); // Track WebSocket clients and their associated MQTT connections
     this.heartbeatInterval = null; // Heartbeat interval for WebSocket connections
+    this.messageCleanupInterval = null; // Periodic purge of messages past their retention window
+    this.statsInterval = null; // Periodic throughput push to WebSocket clients
+    this.reconnectCounts = new Map(); // connectionId -> broker reconnect attempts since the server started
     this.setupMiddleware();
     this.setupRoutes();
     this.setupWebSocket();
     this.startHeartbeat();
-    
-    // No message storage or cleanup needed - messages are only displayed in real-time
-    console.log('💡 MQTT messages are displayed in real-time only (not stored in database)');
+    this.startMessageCleanup();
+    this.startStatsBroadcast();
+
+    this.auth.ensureAdminUser().catch(error => {
+      console.error('❌ Failed to create initial admin user:', error);
+    });
     
     // Setup graceful shutdown
     this.setupGracefulShutdown();
   }
 
   setupMiddleware() {
-    this.app.use(cors());
-    this.app.use(bodyParser.json());
+    // Cross-origin access is off unless origins are listed in CORS_ORIGINS (comma separated, "null" for file://)
+    const allowedOrigins = (process.env.CORS_ORIGINS || '')
+      .split(',')
+      .map(origin => origin.trim())
+      .filter(Boolean);
+    this.app.use(cors({ origin: allowedOrigins.length > 0 ? allowedOrigins : false }));
+    // Batches of republished messages are larger than the 100kb default
+    this.app.use(bodyParser.json({ limit: '5mb' }));
     this.app.use(express.static(path.join(__dirname, 'public')));
     
     // Serve index.html at root path
@@ -40,21 +120,206 @@ class MQTTMonitor {
   }
 
   setupRoutes() {
+    // Every API route below needs a signed-in user, except login and the health check
+    this.app.use('/api', this.auth.requireAuth(['/auth/login', '/health']));
+    const requireAdmin = this.auth.requireRole('admin');
+
+    // Unauthenticated liveness check for container health probes
+    this.app.get('/api/health', (req, res) => {
+      res.json({ status: 'ok' });
+    });
+
+    // Sign in and receive a session token
+    this.app.post('/api/auth/login', async (req, res) => {
+      try {
+        const { username, password } = req.body;
+        const session = await this.auth.login(username, password);
+        if (!session) {
+          return res.status(401).json({ error: 'Invalid username or password' });
+        }
+        console.log(`🔐 User "${session.user.username}" signed in`);
+        res.json(session);
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
+    });
+
+    this.app.post('/api/auth/logout', async (req, res) => {
+      try {
+        await this.auth.logout(req.authToken);
+        res.json({ success: true, message: 'Signed out' });
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
+    });
+
+    this.app.get('/api/auth/me', (req, res) => {
+      res.json(req.user);
+    });
+
+    // Change the signed-in user's own password
+    this.app.post('/api/auth/password', async (req, res) => {
+      try {
+        const { currentPassword, newPassword } = req.body;
+        const user = await this.db.getUserById(req.user.id);
+        if (!user || !(await this.auth.verifyPassword(currentPassword, user.password_hash))) {
+          return res.status(400).json({ error: 'Current password is incorrect' });
+        }
+
+        const validationError = this.auth.validateUser({ password: newPassword });
+        if (validationError) {
+          return res.status(400).json({ error: validationError });
+        }
+
+        await this.db.updateUser(user.id, { password_hash: await this.auth.hashPassword(newPassword) });
+        res.json({ success: true, message: 'Password changed' });
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
+    });
+
+    // User management (admin only)
+    this.app.get('/api/users', requireAdmin, async (req, res) => {
+      try {
+        const users = await this.db.getUsers();
+        res.json(users);
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
+    });
+
+    this.app.post('/api/users', requireAdmin, async (req, res) => {
+      try {
+        const { username, password } = req.body;
+        const role = req.body.role || 'viewer';
+        const validationError = this.auth.validateUser({ username, password, role });
+        if (validationError) {
+          return res.status(400).json({ error: validationError });
+        }
+        if (await this.db.getUserByUsername(username)) {
+          return res.status(409).json({ error: `User "${username}" already exists` });
+        }
+
+        const user = await this.db.addUser({ username, password_hash: await this.auth.hashPassword(password), role });
+        res.json(user);
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
+    });
+
+    this.app.put('/api/users/:id', requireAdmin, async (req, res) => {
+      try {
+        const userId = parseInt(req.params.id);
+        const { password, role } = req.body;
+        const user = await this.db.getUserById(userId);
+        if (!user) {
+          return res.status(404).json({ error: 'User not found' });
+        }
+
+        const validationError = this.auth.validateUser({ password, role }, { requirePassword: false });
+        if (validationError) {
+          return res.status(400).json({ error: validationError });
+        }
+        if (user.role === 'admin' && role && role !== 'admin' && await this.isLastAdmin(userId)) {
+          return res.status(400).json({ error: 'Cannot remove the admin role from the last admin' });
+        }
+
+        const changes = { role };
+        if (password) {
+          changes.password_hash = await this.auth.hashPassword(password);
+        }
+        await this.db.updateUser(userId, changes);
+
+        // Sign the user out everywhere so the new role or password takes effect
+        if (password || (role && role !== user.role)) {
+          await this.db.deleteUserSessions(userId);
+        }
+        res.json({ success: true, message: 'User updated' });
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
+    });
+
+    this.app.delete('/api/users/:id', requireAdmin, async (req, res) => {
+      try {
+        const userId = parseInt(req.params.id);
+        if (userId === req.user.id) {
+          return res.status(400).json({ error: 'You cannot delete your own account' });
+        }
+        const user = await this.db.getUserById(userId);
+        if (user && user.role === 'admin' && await this.isLastAdmin(userId)) {
+          return res.status(400).json({ error: 'Cannot delete the last admin' });
+        }
+
+        await this.db.deleteUser(userId);
+        res.json({ success: true, message: 'User deleted' });
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
+    });
+
     // Get all MQTT connections
     this.app.get('/api/connections', async (req, res) => {
       try {
         const connections = await this.db.getConnections();
-        res.json(connections);
+        res.json(connections.map(connection => this.redactConnection(connection)));
       } catch (error) {
         res.status(500).json({ error: error.message });
       }
     });
 
     // Add MQTT connection
-    this.app.post('/api/connections', async (req, res) => {
+    this.app.post('/api/connections', requireAdmin, async (req, res) => {
       try {
+        const validationError = this.validateConnectionSettings(req.body);
+        if (validationError) {
+          return res.status(400).json({ error: validationError });
+        }
+
         const connection = await this.db.addConnection(req.body);
-        res.json(connection);
+        if (connection.always_on) {
+          await this.connectMQTT(connection);
+        }
+        res.json(this.redactConnection(connection));
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
+    });
+
+    // Update MQTT connection; a live client reconnects with the new settings
+    this.app.put('/api/connections/:id', requireAdmin, async (req, res) => {
+      try {
+        const connectionId = parseInt(req.params.id);
+        const existing = await this.db.getConnectionById(connectionId);
+        if (!existing) {
+          return res.status(404).json({ error: 'Connection not found' });
+        }
+        if (this.isManagedConnection(existing)) {
+          return res.status(400).json({ error: 'The embedded broker connection is managed by the server and cannot be edited' });
+        }
+
+        // Saved secrets are never sent to the browser, so a blank value keeps the stored one
+        const changes = { ...req.body };
+        CredentialCipher.SECRET_FIELDS.forEach(field => {
+          if (changes[field] === '') delete changes[field];
+        });
+
+        const validationError = this.validateConnectionSettings({ ...existing, ...changes });
+        if (validationError) {
+          return res.status(400).json({ error: validationError });
+        }
+
+        await this.db.updateConnection(connectionId, changes);
+        const connection = await this.db.getConnectionById(connectionId);
+
+        const reconnected = this.mqttClients.has(connectionId);
+        if (reconnected) {
+          await this.reconnectMQTT(connection);
+        } else if (connection.always_on) {
+          await this.connectMQTT(connection);
+        }
+
+        res.json({ ...this.redactConnection(connection), reconnected });
       } catch (error) {
         res.status(500).json({ error: error.message });
       }
@@ -70,20 +335,119 @@ class MQTTMonitor {
       }
     });
 
+    // Retained messages the broker holds under a pattern, collected by a temporary client
+    this.app.post('/api/connections/:id/retained/scan', requireAdmin, async (req, res) => {
+      try {
+        const connection = await this.db.getConnectionById(parseInt(req.params.id));
+        if (!connection) {
+          return res.status(404).json({ error: 'Connection not found' });
+        }
+        const result = await this.retained.scan(connection, req.body.pattern || '#');
+        console.log(`📌 Found ${result.messages.length} retained messages under ${result.pattern} on ${connection.name}`);
+        res.json(result);
+      } catch (error) {
+        const status = error.statusCode || 500;
+        res.status(status).json({ error: error.message });
+      }
+    });
+
+    // Clear retained messages by publishing an empty retained payload to each topic
+    this.app.post('/api/connections/:id/retained/clear', requireAdmin, async (req, res) => {
+      try {
+        const connection = await this.db.getConnectionById(parseInt(req.params.id));
+        if (!connection) {
+          return res.status(404).json({ error: 'Connection not found' });
+        }
+        const result = await this.retained.clear(connection, req.body.topics);
+        console.log(`🧹 ${req.user.username} cleared ${result.cleared.length} retained messages on ${connection.name}`);
+        res.json(result);
+      } catch (error) {
+        const status = error.statusCode || 500;
+        res.status(status).json({ error: error.message });
+      }
+    });
+
     // Add topic
-    this.app.post('/api/topics', async (req, res) => {
+    this.app.post('/api/topics', requireAdmin, async (req, res) => {
       try {
+        const schemaError = req.body.json_schema ? this.schemas.checkSchema(req.body.json_schema) : null;
+        if (schemaError) {
+          return res.status(400).json({ error: schemaError });
+        }
+
         const topic = await this.db.addTopic(req.body);
+        if (topic.json_schema) {
+          await this.loadTopicSchemas();
+        }
+
+        // Subscribe right away when the connection is live, e.g. a subtree added from the topic tree
+        const client = this.mqttClients.get(topic.connection_id);
+        if (topic.active && client && client.connected) {
+          client.subscribe(topic.topic, { qos: topic.qos || 0 }, (err) => {
+            if (err) {
+              console.error(`❌ Failed to subscribe to topic "${topic.topic}":`, err);
+            } else {
+              console.log(`✅ Subscribed to topic "${topic.topic}" with QoS ${topic.qos || 0}`);
+            }
+          });
+        }
+
         res.json(topic);
       } catch (error) {
         res.status(500).json({ error: error.message });
       }
     });
 
-    // Messages are no longer stored - only real-time display via WebSocket
+    // Query stored message history
+    // Supports connectionId, topic (MQTT wildcards allowed), from/to (ISO time), limit, offset
+    // and filter (a filter expression applied to the newest FILTER_SCAN_LIMIT matching messages)
+    this.app.get('/api/messages', async (req, res) => {
+      try {
+        const filter = this.parseMessageQuery(req.query);
+        const result = await this.queryMessages(filter);
+        res.json(result);
+      } catch (error) {
+        const status = error.statusCode || 500;
+        res.status(status).json({ error: error.message });
+      }
+    });
+
+    // Stream stored history as a download: ?format=csv|ndjson|archive plus the same filters as /api/messages
+    this.app.get('/api/messages/export', async (req, res) => {
+      const format = req.query.format || 'ndjson';
+      const type = MessageExporter.FORMATS[format];
+      if (!type) {
+        return res.status(400).json({ error: `Format must be one of: ${Object.keys(MessageExporter.FORMATS).join(', ')}` });
+      }
+
+      let filter;
+      let expression;
+      try {
+        // limit and offset do not apply; the export walks every matching message
+        const { topic, limit, offset, ...rest } = this.parseMessageQuery(req.query);
+        ({ expression, ...filter } = rest);
+        filter.topics = await this.resolveTopics(topic, filter);
+      } catch (error) {
+        const status = error.statusCode || 500;
+        return res.status(status).json({ error: error.message });
+      }
+
+      const filename = `mqtt_messages_${new Date().toISOString().slice(0, 19).replace(/[:.]/g, '-')}.${type.extension}`;
+      res.setHeader('Content-Type', type.contentType);
+      res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+
+      try {
+        const count = await this.exporter.export(format, res, filter, expression);
+        console.log(`📤 Exported ${count} stored messages as ${format} for ${req.user.username}`);
+      } catch (error) {
+        // Headers are already sent, so the only way to signal the failure is to cut the download short
+        console.error('❌ Export failed:', error);
+        res.destroy(error);
+      }
+    });
 
     // Connect MQTT
-    this.app.post('/api/connect', async (req, res) => {
+    this.app.post('/api/connect', requireAdmin, async (req, res) => {
       try {
         const { connectionId, wsClientId } = req.body;
         const connections = await this.db.getConnections();
@@ -101,7 +465,7 @@ class MQTTMonitor {
     });
 
     // Disconnect MQTT connection
-    this.app.post('/api/disconnect', async (req, res) => {
+    this.app.post('/api/disconnect', requireAdmin, async (req, res) => {
       try {
         const { connectionId } = req.body;
         await this.disconnectMQTT(connectionId);
@@ -111,8 +475,489 @@ class MQTTMonitor {
       }
     });
 
+    // Publish a message through a connected MQTT client
+    this.app.post('/api/publish', requireAdmin, async (req, res) => {
+      try {
+        const { connectionId, topic, payload, qos, retain, properties } = req.body;
+        await this.publishMessage(parseInt(connectionId), topic, payload, { qos, retain, properties });
+        console.log(`📤 ${req.user.username} published a message to "${topic}" on connection ${connectionId}`);
+        res.json({ success: true, message: `Message published to "${topic}"` });
+      } catch (error) {
+        const status = error.statusCode || 500;
+        res.status(status).json({ error: error.message });
+      }
+    });
+
+    // Saved payload templates for the publish panel
+    this.app.get('/api/publish-templates', async (req, res) => {
+      try {
+        const templates = await this.db.getPublishTemplates();
+        res.json(templates);
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
+    });
+
+    // Publish a list of messages in order, e.g. to republish an imported capture
+    this.app.post('/api/publish/batch', requireAdmin, async (req, res) => {
+      const { connectionId, messages } = req.body;
+      if (!Array.isArray(messages) || messages.length === 0) {
+        return res.status(400).json({ error: 'Messages must be a non-empty list' });
+      }
+      if (messages.length > PUBLISH_BATCH_LIMIT) {
+        return res.status(400).json({ error: `At most ${PUBLISH_BATCH_LIMIT} messages can be published per request` });
+      }
+
+      let published = 0;
+      const errors = [];
+      for (let index = 0; index < messages.length; index++) {
+        const { topic, payload, payload_base64, qos, retain, properties } = messages[index] || {};
+        // Binary payloads of an imported capture arrive base64 encoded
+        const body = typeof payload_base64 === 'string' ? Buffer.from(payload_base64, 'base64') : payload;
+        try {
+          await this.publishMessage(parseInt(connectionId), topic, body, { qos, retain, properties });
+          published++;
+        } catch (error) {
+          // Losing the connection fails the rest of the batch as well, so stop there
+          if (error.statusCode === 409) {
+            return res.status(409).json({ error: error.message, published });
+          }
+          errors.push({ index, topic, error: error.message });
+        }
+      }
+
+      res.json({ published, failed: errors.length, errors: errors.slice(0, 20) });
+    });
+
+    this.app.post('/api/publish-templates', requireAdmin, async (req, res) => {
+      try {
+        if (!req.body.name) {
+          return res.status(400).json({ error: 'Template name is required' });
+        }
+        const template = await this.db.addPublishTemplate(req.body);
+        res.json(template);
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
+    });
+
+    this.app.delete('/api/publish-templates/:id', requireAdmin, async (req, res) => {
+      try {
+        await this.db.deletePublishTemplate(req.params.id);
+        res.json({ success: true, message: 'Template deleted' });
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
+    });
+
+    // Saved filter expressions of the signed-in user
+    this.app.get('/api/filters', async (req, res) => {
+      try {
+        const filters = await this.db.getMessageFilters(req.user.id);
+        res.json(filters);
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
+    });
+
+    this.app.post('/api/filters', async (req, res) => {
+      try {
+        const { name, expression } = req.body;
+        if (!name || !expression) {
+          return res.status(400).json({ error: 'Filter name and expression are required' });
+        }
+
+        const filter = new MessageFilter(expression);
+        const saved = await this.db.addMessageFilter({ user_id: req.user.id, name, expression: filter.expression });
+        res.json(saved);
+      } catch (error) {
+        const status = error.statusCode || 500;
+        res.status(status).json({ error: error.message });
+      }
+    });
+
+    this.app.delete('/api/filters/:id', async (req, res) => {
+      try {
+        const result = await this.db.deleteMessageFilter(req.params.id, req.user.id);
+        if (result.deleted === 0) {
+          return res.status(404).json({ error: 'Filter not found' });
+        }
+        res.json({ success: true, message: 'Filter deleted' });
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
+    });
+
+    // Payload decoders, chosen per topic pattern (and optionally per connection)
+    this.app.get('/api/decoders', async (req, res) => {
+      try {
+        const decoders = await this.db.getPayloadDecoders();
+        res.json(decoders);
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
+    });
+
+    this.app.post('/api/decoders', requireAdmin, async (req, res) => {
+      try {
+        const rule = {
+          connection_id: req.body.connection_id ? parseInt(req.body.connection_id) : null,
+          topic_pattern: (req.body.topic_pattern || '').trim(),
+          decoder: req.body.decoder,
+          proto_schema: req.body.decoder === 'protobuf' ? req.body.proto_schema : null,
+          proto_type: req.body.decoder === 'protobuf' ? (req.body.proto_type || '').trim() : null
+        };
+
+        const validationError = PayloadDecoder.validateRule(rule);
+        if (validationError) {
+          return res.status(400).json({ error: validationError });
+        }
+
+        const decoder = await this.db.addPayloadDecoder(rule);
+        await this.loadPayloadDecoders();
+        res.json(decoder);
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
+    });
+
+    this.app.delete('/api/decoders/:id', requireAdmin, async (req, res) => {
+      try {
+        await this.db.deletePayloadDecoder(req.params.id);
+        await this.loadPayloadDecoders();
+        res.json({ success: true, message: 'Decoder deleted' });
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
+    });
+
+    // Alert rules
+    this.app.get('/api/alert-rules', async (req, res) => {
+      try {
+        const rules = await this.db.getAlertRules();
+        res.json(rules);
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
+    });
+
+    this.app.post('/api/alert-rules', requireAdmin, async (req, res) => {
+      try {
+        const rule = this.parseAlertRule(req.body);
+        const validationError = AlertEngine.validateRule(rule);
+        if (validationError) {
+          return res.status(400).json({ error: validationError });
+        }
+
+        const saved = await this.db.addAlertRule(rule);
+        await this.alerts.loadRules();
+        res.json(saved);
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
+    });
+
+    this.app.put('/api/alert-rules/:id', requireAdmin, async (req, res) => {
+      try {
+        const ruleId = parseInt(req.params.id);
+        const existing = (await this.db.getAlertRules()).find(rule => rule.id === ruleId);
+        if (!existing) {
+          return res.status(404).json({ error: 'Alert rule not found' });
+        }
+
+        const changes = this.parseAlertRule(req.body);
+        const validationError = AlertEngine.validateRule({ ...existing, ...changes });
+        if (validationError) {
+          return res.status(400).json({ error: validationError });
+        }
+
+        await this.db.updateAlertRule(ruleId, changes);
+        await this.alerts.loadRules();
+        res.json({ ...existing, ...changes });
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
+    });
+
+    this.app.delete('/api/alert-rules/:id', requireAdmin, async (req, res) => {
+      try {
+        await this.db.deleteAlertRule(req.params.id);
+        await this.alerts.loadRules();
+        res.json({ success: true, message: 'Alert rule deleted' });
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
+    });
+
+    // Forwarding rules, each with the forwarded/dropped counters since the server started
+    this.app.get('/api/forward-rules', async (req, res) => {
+      try {
+        const rules = await this.db.getForwardRules();
+        res.json(rules.map(rule => this.forwarder.withStats(rule)));
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
+    });
+
+    this.app.post('/api/forward-rules', requireAdmin, async (req, res) => {
+      try {
+        const rule = this.parseForwardRule(req.body);
+        const validationError = MessageForwarder.validateRule(rule);
+        if (validationError) {
+          return res.status(400).json({ error: validationError });
+        }
+        if (!(await this.forwardRuleConnectionsExist(rule))) {
+          return res.status(400).json({ error: 'Source or destination connection not found' });
+        }
+
+        const saved = await this.db.addForwardRule(rule);
+        await this.forwarder.loadRules();
+        res.json(this.forwarder.withStats(saved));
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
+    });
+
+    this.app.put('/api/forward-rules/:id', requireAdmin, async (req, res) => {
+      try {
+        const ruleId = parseInt(req.params.id);
+        const existing = (await this.db.getForwardRules()).find(rule => rule.id === ruleId);
+        if (!existing) {
+          return res.status(404).json({ error: 'Forwarding rule not found' });
+        }
+
+        const changes = this.parseForwardRule(req.body);
+        const validationError = MessageForwarder.validateRule({ ...existing, ...changes });
+        if (validationError) {
+          return res.status(400).json({ error: validationError });
+        }
+        if (!(await this.forwardRuleConnectionsExist({ ...existing, ...changes }))) {
+          return res.status(400).json({ error: 'Source or destination connection not found' });
+        }
+
+        await this.db.updateForwardRule(ruleId, changes);
+        await this.forwarder.loadRules();
+        res.json(this.forwarder.withStats({ ...existing, ...changes }));
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
+    });
+
+    this.app.delete('/api/forward-rules/:id', requireAdmin, async (req, res) => {
+      try {
+        await this.db.deleteForwardRule(req.params.id);
+        await this.forwarder.loadRules();
+        res.json({ success: true, message: 'Forwarding rule deleted' });
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
+    });
+
+    // Alert history; status may be active, acknowledged, resolved or open (active + acknowledged)
+    this.app.get('/api/alerts', async (req, res) => {
+      try {
+        const result = await this.db.getAlertEvents({
+          status: req.query.status !== 'open' ? req.query.status : null,
+          open: req.query.status === 'open',
+          limit: Math.min(Math.max(parseInt(req.query.limit) || 100, 1), 1000),
+          offset: Math.max(parseInt(req.query.offset) || 0, 0)
+        });
+        res.json(result);
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
+    });
+
+    this.app.post('/api/alerts/:id/:action(acknowledge|resolve)', async (req, res) => {
+      try {
+        const status = req.params.action === 'acknowledge' ? 'acknowledged' : 'resolved';
+        const alert = await this.alerts.updateStatus(parseInt(req.params.id), status, req.user.username);
+        if (!alert) {
+          return res.status(409).json({ error: 'Alert not found or already resolved' });
+        }
+        res.json(alert);
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
+    });
+
+    // Recordings of a connection's traffic, replayable into any live connection
+    this.app.get('/api/recordings', async (req, res) => {
+      try {
+        const recordings = await this.db.getRecordings();
+        res.json(recordings.map(recording => this.recorder.withLiveCount(recording)));
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
+    });
+
+    this.app.post('/api/recordings', requireAdmin, async (req, res) => {
+      try {
+        const { name, connectionId, topicFilter } = req.body;
+        const recording = await this.recorder.startRecording({
+          name: typeof name === 'string' ? name.trim() : '',
+          connection_id: parseInt(connectionId),
+          topic_filter: typeof topicFilter === 'string' ? topicFilter.trim() : '#'
+        });
+        res.json(recording);
+      } catch (error) {
+        const status = error.statusCode || 500;
+        res.status(status).json({ error: error.message });
+      }
+    });
+
+    this.app.post('/api/recordings/:id/stop', requireAdmin, async (req, res) => {
+      try {
+        const recording = await this.recorder.stopRecording(parseInt(req.params.id));
+        if (!recording) {
+          return res.status(409).json({ error: 'Recording is not running' });
+        }
+        res.json(recording);
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
+    });
+
+    this.app.delete('/api/recordings/:id', requireAdmin, async (req, res) => {
+      try {
+        const recordingId = parseInt(req.params.id);
+        await this.recorder.stopRecording(recordingId);
+        await this.db.deleteRecording(recordingId);
+        res.json({ success: true, message: 'Recording deleted' });
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
+    });
+
+    // speed: 1 for real time, 10 for ten times faster, 0 for as fast as possible
+    // topicMap: [{ from, to }] topic prefixes rewritten before publishing
+    this.app.post('/api/recordings/:id/replay', requireAdmin, async (req, res) => {
+      try {
+        const { connectionId, speed, topicMap } = req.body;
+        const replay = await this.recorder.startReplay(parseInt(req.params.id), {
+          connection_id: parseInt(connectionId),
+          speed: speed === undefined ? 1 : Number(speed),
+          topic_map: topicMap || []
+        });
+        res.json(replay);
+      } catch (error) {
+        const status = error.statusCode || 500;
+        res.status(status).json({ error: error.message });
+      }
+    });
+
+    this.app.get('/api/replays', (req, res) => {
+      res.json(this.recorder.listReplays());
+    });
+
+    this.app.post('/api/replays/:id/stop', requireAdmin, (req, res) => {
+      const replay = this.recorder.stopReplay(req.params.id);
+      if (!replay) {
+        return res.status(404).json({ error: 'Replay not found' });
+      }
+      res.json(replay);
+    });
+
+    // Simulators with whether they run and how many messages they sent since the server started
+    this.app.get('/api/simulators', async (req, res) => {
+      try {
+        const simulators = await this.db.getSimulators();
+        res.json(simulators.map(simulator => this.simulator.withStatus(simulator)));
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
+    });
+
+    // The first messages a simulator definition would publish, without saving it
+    this.app.post('/api/simulators/preview', requireAdmin, (req, res) => {
+      const simulator = this.parseSimulator(req.body);
+      const validationError = TrafficSimulator.validate(simulator);
+      if (validationError) {
+        return res.status(400).json({ error: validationError });
+      }
+      res.json(TrafficSimulator.preview(simulator));
+    });
+
+    this.app.post('/api/simulators', requireAdmin, async (req, res) => {
+      try {
+        const simulator = this.parseSimulator(req.body);
+        const validationError = TrafficSimulator.validate(simulator);
+        if (validationError) {
+          return res.status(400).json({ error: validationError });
+        }
+        if (!(await this.db.getConnectionById(simulator.connection_id))) {
+          return res.status(400).json({ error: 'Connection not found' });
+        }
+
+        const saved = await this.db.addSimulator(simulator);
+        res.json(this.simulator.withStatus(saved));
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
+    });
+
+    this.app.put('/api/simulators/:id', requireAdmin, async (req, res) => {
+      try {
+        const simulatorId = parseInt(req.params.id);
+        const existing = await this.db.getSimulatorById(simulatorId);
+        if (!existing) {
+          return res.status(404).json({ error: 'Simulator not found' });
+        }
+        if (this.simulator.isRunning(simulatorId)) {
+          return res.status(409).json({ error: 'Stop the simulator before changing it' });
+        }
+
+        const changes = this.parseSimulator(req.body);
+        const validationError = TrafficSimulator.validate({ ...existing, ...changes });
+        if (validationError) {
+          return res.status(400).json({ error: validationError });
+        }
+
+        await this.db.updateSimulator(simulatorId, changes);
+        res.json(this.simulator.withStatus({ ...existing, ...changes }));
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
+    });
+
+    this.app.delete('/api/simulators/:id', requireAdmin, async (req, res) => {
+      try {
+        const simulatorId = parseInt(req.params.id);
+        this.simulator.forget(simulatorId);
+        await this.db.deleteSimulator(simulatorId);
+        res.json({ success: true, message: 'Simulator deleted' });
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
+    });
+
+    this.app.post('/api/simulators/:id/start', requireAdmin, async (req, res) => {
+      try {
+        const simulator = await this.db.getSimulatorById(parseInt(req.params.id));
+        if (!simulator) {
+          return res.status(404).json({ error: 'Simulator not found' });
+        }
+        const client = this.mqttClients.get(simulator.connection_id);
+        if (!client || !client.connected) {
+          return res.status(409).json({ error: 'Connect the connection before starting the simulator' });
+        }
+        res.json(this.simulator.start(simulator));
+      } catch (error) {
+        const status = error.statusCode || 500;
+        res.status(status).json({ error: error.message });
+      }
+    });
+
+    this.app.post('/api/simulators/:id/stop', requireAdmin, (req, res) => {
+      const simulator = this.simulator.stop(parseInt(req.params.id));
+      if (!simulator) {
+        return res.status(409).json({ error: 'Simulator is not running' });
+      }
+      res.json(simulator);
+    });
+
     // Pause/resume message monitoring
-    this.app.post('/api/pause-monitoring', async (req, res) => {
+    this.app.post('/api/pause-monitoring', requireAdmin, async (req, res) => {
       try {
         const { connectionId, paused } = req.body;
         const client = this.mqttClients.get(connectionId);
@@ -130,20 +975,35 @@ class MQTTMonitor {
     });
 
     // Delete connection
-    this.app.delete('/api/connections/:id', async (req, res) => {
+    this.app.delete('/api/connections/:id', requireAdmin, async (req, res) => {
       try {
         const connectionId = req.params.id;
+        const connection = await this.db.getConnectionById(connectionId);
+        if (connection && this.isManagedConnection(connection)) {
+          return res.status(400).json({ error: 'The embedded broker connection is managed by the server and cannot be deleted' });
+        }
+        await this.recorder.stopRecordingsForConnection(parseInt(connectionId));
+        this.simulator.stopForConnection(parseInt(connectionId));
         await this.disconnectMQTT(connectionId);
         await this.db.deleteConnection(connectionId);
+        await this.forwarder.loadRules();
+        await this.alerts.loadRules();
+        await this.loadTopicSchemas();
+        this.throughput.removeConnection(parseInt(connectionId));
         res.json({ success: true, message: 'Connection deleted' });
       } catch (error) {
         res.status(500).json({ error: error.message });
       }
     });
 
+    // Clients of the embedded broker with their subscriptions
+    this.app.get('/api/embedded-broker', (req, res) => {
+      res.json(this.embeddedBroker.describe());
+    });
+
     // Delete topic
     // Update topic status (enable/disable)
-    this.app.put('/api/topics/:id', async (req, res) => {
+    this.app.put('/api/topics/:id', requireAdmin, async (req, res) => {
       try {
         const topicId = req.params.id;
         const { active } = req.body;
@@ -187,10 +1047,32 @@ class MQTTMonitor {
       }
     });
 
-    this.app.delete('/api/topics/:id', async (req, res) => {
+    // Attach, replace or (with an empty json_schema) remove the JSON Schema of a topic
+    this.app.put('/api/topics/:id/schema', requireAdmin, async (req, res) => {
+      try {
+        const { json_schema, schema_notify } = req.body;
+        const schemaText = typeof json_schema === 'string' ? json_schema.trim() : '';
+        const schemaError = schemaText ? this.schemas.checkSchema(schemaText) : null;
+        if (schemaError) {
+          return res.status(400).json({ error: schemaError });
+        }
+
+        const result = await this.db.updateTopicSchema(req.params.id, schemaText, schema_notify);
+        if (result.updated === 0) {
+          return res.status(404).json({ error: 'Topic not found' });
+        }
+        await this.loadTopicSchemas();
+        res.json({ success: true, message: schemaText ? 'Topic schema saved' : 'Topic schema removed' });
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
+    });
+
+    this.app.delete('/api/topics/:id', requireAdmin, async (req, res) => {
       try {
         const topicId = req.params.id;
         await this.db.deleteTopic(topicId);
+        await this.loadTopicSchemas();
         res.json({ success: true, message: 'Topic deleted' });
       } catch (error) {
         res.status(500).json({ error: error.message });
@@ -198,7 +1080,7 @@ class MQTTMonitor {
     });
 
     // Debug endpoint to check MQTT subscriptions
-    this.app.get('/api/debug/subscriptions/:connectionId', async (req, res) => {
+    this.app.get('/api/debug/subscriptions/:connectionId', requireAdmin, async (req, res) => {
       try {
         const connectionId = parseInt(req.params.connectionId);
         const client = this.mqttClients.get(connectionId);
@@ -231,7 +1113,7 @@ class MQTTMonitor {
     });
 
     // Add debug endpoint to check active WebSocket and MQTT connections
-    this.app.get('/api/debug/connections', async (req, res) => {
+    this.app.get('/api/debug/connections', requireAdmin, async (req, res) => {
       try {
         const wsConnections = Array.from(this.wsClients.entries()).map(([wsId, info]) => ({
           wsClientId: wsId,
@@ -261,23 +1143,69 @@ class MQTTMonitor {
       }
     });
 
-    // Get basic statistics (without message count)
+    // Get basic statistics
     this.app.get('/api/stats', async (req, res) => {
       try {
         const connections = await this.db.getConnections();
         const allTopics = await this.db.getAllActiveTopics();
+        const totalTopicCount = await this.db.getTopicCount();
+        const storedMessages = await this.db.getMessages({ limit: 1 });
         
         res.json({
           connectionCount: connections.length,
           activeTopicCount: allTopics.length,
-          totalTopicCount: allTopics.length,
-          messageStorage: 'disabled - real-time only'
+          totalTopicCount,
+          storedMessageCount: storedMessages.total,
+          messageStorage: 'enabled - per-connection retention',
+          throughput: this.throughput.overview()
         });
       } catch (error) {
         console.error('❌ Error getting database stats:', error);
         res.status(500).json({ error: error.message });
       }
     });
+
+    // Prometheus scrape endpoint; accepts a signed-in session or the METRICS_TOKEN bearer token
+    this.app.get('/metrics', this.auth.requireAuthOrToken(process.env.METRICS_TOKEN), async (req, res) => {
+      try {
+        const metrics = await this.collectMetrics();
+        res.set('Content-Type', PrometheusMetrics.CONTENT_TYPE);
+        res.send(metrics.toString());
+      } catch (error) {
+        console.error('❌ Error collecting metrics:', error);
+        res.status(500).json({ error: error.message });
+      }
+    });
+
+    // Throughput of one connection and its topics since the server started
+    // sort: rate (default), bytes, messages, silent or topic; limit: topics returned (max 1000)
+    this.app.get('/api/stats/connections/:id', async (req, res) => {
+      try {
+        const connectionId = parseInt(req.params.id);
+        const connection = await this.db.getConnectionById(connectionId);
+        if (!connection) {
+          return res.status(404).json({ error: 'Connection not found' });
+        }
+
+        const sort = req.query.sort || 'rate';
+        if (!ThroughputStats.SORT_ORDERS.includes(sort)) {
+          return res.status(400).json({ error: `sort must be one of: ${ThroughputStats.SORT_ORDERS.join(', ')}` });
+        }
+
+        const client = this.mqttClients.get(connectionId);
+        res.json({
+          name: connection.name,
+          connected: !!(client && client.connected),
+          rateWindowSeconds: ThroughputStats.RATE_WINDOW_SECONDS,
+          ...this.throughput.connection(connectionId, {
+            sort,
+            limit: Math.min(Math.max(parseInt(req.query.limit) || 100, 1), 1000)
+          })
+        });
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
+    });
     
     // Catch-all handler: send back index.html for any non-API routes
     this.app.get('*', (req, res) => {
@@ -287,39 +1215,265 @@ class MQTTMonitor {
       } else {
         res.status(404).json({ error: 'API endpoint not found' });
       }
-    });
+    });
+  }
+
+  async isLastAdmin(userId) {
+    const users = await this.db.getUsers();
+    const admins = users.filter(user => user.role === 'admin');
+    return admins.length === 1 && admins[0].id === userId;
+  }
+
+  // Pick the alert rule fields out of a request body, converting numbers and flags
+  parseAlertRule(body) {
+    const number = (value) => (value === undefined ? undefined : (value === null || value === '' ? null : Number(value)));
+    const rule = {
+      name: body.name,
+      connection_id: body.connection_id === undefined ? undefined : (parseInt(body.connection_id) || null),
+      topic_pattern: body.topic_pattern,
+      type: body.type,
+      json_path: body.json_path,
+      operator: body.operator,
+      threshold: number(body.threshold),
+      silence_seconds: number(body.silence_seconds),
+      rate_per_second: number(body.rate_per_second),
+      rate_window_seconds: number(body.rate_window_seconds),
+      webhook_url: body.webhook_url === undefined ? undefined : (body.webhook_url || null),
+      log_to_file: body.log_to_file === undefined ? undefined : !!body.log_to_file,
+      enabled: body.enabled === undefined ? undefined : !!body.enabled
+    };
+    Object.keys(rule).forEach(key => rule[key] === undefined && delete rule[key]);
+    return rule;
+  }
+
+  parseForwardRule(body) {
+    const id = (value) => (value === undefined ? undefined : (parseInt(value) || null));
+    const text = (value) => (value === undefined ? undefined : (typeof value === 'string' ? value.trim() : value) || null);
+    const rule = {
+      name: body.name,
+      source_connection_id: id(body.source_connection_id),
+      topic_pattern: body.topic_pattern,
+      destination_connection_id: id(body.destination_connection_id),
+      topic_template: text(body.topic_template),
+      qos: body.qos === undefined ? undefined : (body.qos === null || body.qos === '' ? null : Number(body.qos)),
+      payload_transform: body.payload_transform === undefined ? undefined : (body.payload_transform || 'none'),
+      transform_path: text(body.transform_path),
+      enabled: body.enabled === undefined ? undefined : !!body.enabled
+    };
+    Object.keys(rule).forEach(key => rule[key] === undefined && delete rule[key]);
+    return rule;
+  }
+
+  parseSimulator(body) {
+    const number = (value) => (value === undefined ? undefined : (value === null || value === '' ? null : Number(value)));
+    const simulator = {
+      name: body.name,
+      connection_id: body.connection_id === undefined ? undefined : (parseInt(body.connection_id) || null),
+      topic_template: typeof body.topic_template === 'string' ? body.topic_template.trim() : body.topic_template,
+      payload_template: body.payload_template,
+      rate: number(body.rate),
+      device_count: number(body.device_count),
+      qos: number(body.qos),
+      retain: body.retain === undefined ? undefined : !!body.retain
+    };
+    Object.keys(simulator).forEach(key => simulator[key] === undefined && delete simulator[key]);
+    return simulator;
+  }
+
+  async forwardRuleConnectionsExist(rule) {
+    const connectionIds = new Set((await this.db.getConnections()).map(connection => connection.id));
+    return connectionIds.has(rule.source_connection_id) && connectionIds.has(rule.destination_connection_id);
+  }
+
+  // The built-in connection belongs to the server only while the embedded broker is enabled;
+  // with EMBEDDED_BROKER turned off it is an ordinary connection that can be deleted
+  isManagedConnection(connection) {
+    return !!connection.built_in && this.embeddedBroker.enabled;
+  }
+
+  // Replace stored secrets with has_<field> flags before a connection leaves the server
+  redactConnection(connection) {
+    const redacted = { ...connection, managed: this.isManagedConnection(connection) };
+    CredentialCipher.SECRET_FIELDS.forEach(field => {
+      redacted[`has_${field}`] = !!connection[field];
+      delete redacted[field];
+    });
+    return redacted;
+  }
+
+  // Check protocol and TLS settings; returns an error message or null
+  validateConnectionSettings(settings) {
+    const protocols = ['auto', 'mqtt', 'mqtts', 'ws', 'wss'];
+    const tlsVersions = ['TLSv1.2', 'TLSv1.3'];
+    const protocolVersions = [3, 4, 5];
+    const isPem = (value) => /-----BEGIN [A-Z0-9 ]+-----/.test(value);
+
+    if (settings.protocol && !protocols.includes(settings.protocol)) {
+      return `Unsupported protocol "${settings.protocol}"`;
+    }
+    if (settings.tls_version && !tlsVersions.includes(settings.tls_version)) {
+      return `Unsupported TLS version "${settings.tls_version}"`;
+    }
+    if (settings.protocol_version && !protocolVersions.includes(parseInt(settings.protocol_version))) {
+      return `Unsupported MQTT protocol version "${settings.protocol_version}"`;
+    }
+    if (settings.receive_maximum !== undefined && settings.receive_maximum !== null &&
+        (settings.receive_maximum < 1 || settings.receive_maximum > 65535)) {
+      return 'Receive maximum must be between 1 and 65535';
+    }
+    if (settings.topic_alias_maximum !== undefined && settings.topic_alias_maximum !== null &&
+        (settings.topic_alias_maximum < 0 || settings.topic_alias_maximum > 65535)) {
+      return 'Topic alias maximum must be between 0 and 65535';
+    }
+    if (settings.ca_cert && !isPem(settings.ca_cert)) {
+      return 'CA certificate must be PEM encoded';
+    }
+    if (settings.client_cert && !isPem(settings.client_cert)) {
+      return 'Client certificate must be PEM encoded';
+    }
+    if (settings.client_key && !isPem(settings.client_key)) {
+      return 'Client key must be PEM encoded';
+    }
+    if (!!settings.client_cert !== !!settings.client_key) {
+      return 'Client certificate and client key must be provided together';
+    }
+    return null;
+  }
+
+  // Normalize query string parameters for message history lookups
+  parseMessageQuery(query) {
+    const parseTime = (value, name) => {
+      if (!value) return null;
+      const date = new Date(value);
+      if (isNaN(date.getTime())) {
+        throw new RequestError(`Invalid "${name}" time: ${value}`);
+      }
+      return date.toISOString();
+    };
+
+    return {
+      connectionId: query.connectionId ? parseInt(query.connectionId) : null,
+      topic: query.topic || null,
+      from: parseTime(query.from, 'from'),
+      to: parseTime(query.to, 'to'),
+      limit: Math.min(Math.max(parseInt(query.limit) || 100, 1), 1000),
+      offset: Math.max(parseInt(query.offset) || 0, 0),
+      expression: query.filter ? new MessageFilter(query.filter) : null
+    };
   }
 
-  // Helper function to check if a topic matches a wildcard pattern
-  topicMatches(topic, pattern) {
-    // Convert MQTT wildcard pattern to regex
-    // # matches any number of levels
-    // + matches exactly one level
-    const regexPattern = pattern
-      .replace(/\+/g, '[^/]+')  // + matches one level (no slashes)
-      .replace(/#/g, '.*')      // # matches any number of levels (including slashes)
-      .replace(/\$/g, '\\$');   // Escape $ if present
-    
-    const regex = new RegExp(`^${regexPattern}$`);
-    const matches = regex.test(topic);
-    
-    if (matches) {
-      console.log(`🎯 Topic "${topic}" matches pattern "${pattern}"`);
+  // Topics a pattern stands for; wildcard patterns are resolved against the stored topics
+  async resolveTopics(topic, filter) {
+    if (!topic) {
+      return null;
     }
-    
-    return matches;
+    if (!topic.includes('#') && !topic.includes('+')) {
+      return [topic];
+    }
+    const storedTopics = await this.db.getMessageTopics(filter);
+    return storedTopics.filter(t => MessageFilter.topicMatches(t, topic));
+  }
+
+  // Look up stored messages, resolving wildcard topic patterns against stored topics
+  async queryMessages(filter) {
+    const { topic, expression, ...rest } = filter;
+    const topics = await this.resolveTopics(topic, rest);
+
+    if (!expression) {
+      const result = await this.db.getMessages({ ...rest, topics });
+      result.messages = result.messages.map(message => this.decodeStoredMessage(message));
+      return result;
+    }
+
+    // Expressions cannot run in SQL, so page through the matches of a bounded scan
+    const scanned = await this.db.getMessages({ ...rest, topics, limit: FILTER_SCAN_LIMIT, offset: 0 });
+    const matching = scanned.messages
+      .map(message => this.decodeStoredMessage(message))
+      .filter(message => expression.matches(message));
+    return {
+      messages: matching.slice(rest.offset, rest.offset + rest.limit),
+      total: matching.length,
+      limit: rest.limit,
+      offset: rest.offset,
+      scanned: scanned.messages.length
+    };
+  }
+
+  // Decode a stored message with the current decoder rules; raw bytes stay on the server
+  decodeStoredMessage(row) {
+    const { payload, ...message } = row;
+    const raw = payload ? Buffer.from(payload) : Buffer.from(message.message || '', 'utf8');
+    message.size = raw.length;
+    if (payload) {
+      // Rows stored before binary payloads were kept out of the message column hold mangled text there
+      message.message = '';
+    }
+
+    const decoded = this.decoders.decode(raw, message.connection_id, message.topic);
+    if (decoded) {
+      message.decoded = decoded;
+    }
+
+    // Validated against the current schemas, so history shows violations as well
+    const violation = this.schemas.validate(message.connection_id, message.topic, message.message, decoded);
+    if (violation) {
+      message.schemaErrors = violation.errors;
+    }
+    return message;
+  }
+
+  async loadTopicSchemas() {
+    const topics = await this.db.getSchemaTopics();
+    this.schemas.setRules(topics);
+    console.log(`📐 Loaded ${this.schemas.rules.length} topic schemas`);
+  }
+
+  // Tell the viewers of the topic about a violation, at most once per SCHEMA_NOTIFY_INTERVAL_MS for each topic
+  notifySchemaViolation(connection, topic, errors) {
+    const key = `${connection.id}|${topic}`;
+    const now = Date.now();
+    if (now - (this.schemaNotifiedAt.get(key) || 0) < SCHEMA_NOTIFY_INTERVAL_MS) {
+      return;
+    }
+    this.schemaNotifiedAt.set(key, now);
+    this.sendToTopicViewers({ type: 'schemaViolation', connectionId: connection.id, connectionName: connection.name, topic, errors }, connection.id, topic);
+  }
+
+  async loadPayloadDecoders() {
+    const rules = await this.db.getPayloadDecoders();
+    this.decoders.setRules(rules);
+    console.log(`🧩 Loaded ${rules.length} payload decoder rules`);
+  }
+
+  // Accept WebSocket upgrades only with a valid session token (?token=...)
+  verifyWebSocketClient(info, done) {
+    this.auth.authenticate(this.auth.getRequestToken(info.req))
+      .then(user => {
+        if (!user) {
+          return done(false, 401, 'Authentication required');
+        }
+        info.req.user = user;
+        done(true);
+      })
+      .catch(error => {
+        console.error('WebSocket authentication error:', error);
+        done(false, 500, 'Authentication error');
+      });
   }
 
   setupWebSocket() {
-    this.wss.on('connection', (ws) => {
-      // Generate unique ID for this WebSocket client
-      const wsClientId = `ws_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
-      console.log(`WebSocket client connected: ${wsClientId}`);
+    this.wss.on('connection', (ws, req) => {
+      // Generate unique ID for this WebSocket client (replaced when the browser re-registers its old ID)
+      let wsClientId = `ws_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+      console.log(`WebSocket client connected: ${wsClientId} (user "${req.user.username}")`);
       
       // Store WebSocket client with its associated MQTT connections
       this.wsClients.set(wsClientId, {
         ws: ws,
+        user: req.user,
         mqttConnections: new Set(),
+        subscriptions: new Map(), // connectionId -> Set of topic patterns, or null for all topics
+        filter: null, // MessageFilter applied before messages are sent to this client
         connectedAt: new Date(),
         lastPong: Date.now() // Track last heartbeat response
       });
@@ -339,11 +1493,25 @@ class MQTTMonitor {
           
           switch (data.type) {
             case 'subscribe':
-              await this.subscribeToTopics(data.connectionId);
+            case 'unsubscribe':
+              const subscriptions = this.updateViewerSubscription(wsClientId, data.connectionId, data.topics, data.type === 'subscribe');
+              ws.send(JSON.stringify({ type: 'subscriptions', subscriptions }));
+              break;
+            case 'setFilter':
+              // An empty expression removes the filter
+              const filterInfo = this.wsClients.get(wsClientId);
+              try {
+                const filter = data.expression ? new MessageFilter(data.expression) : null;
+                if (filterInfo) filterInfo.filter = filter;
+                ws.send(JSON.stringify({ type: 'filter', expression: filter ? filter.expression : null }));
+              } catch (error) {
+                ws.send(JSON.stringify({ type: 'filter', expression: filterInfo && filterInfo.filter ? filterInfo.filter.expression : null, error: error.message }));
+              }
               break;
             case 'getMessages':
-              const messages = await this.db.getMessages(data.connectionId, data.topic, data.limit);
-              ws.send(JSON.stringify({ type: 'messages', data: messages }));
+              const history = await this.queryMessages(this.parseMessageQuery(data));
+              // Send oldest first, matching the order of the live message list
+              ws.send(JSON.stringify({ type: 'messages', data: history.messages.reverse() }));
               break;
             case 'ping':
               ws.send(JSON.stringify({ type: 'pong' }));
@@ -357,18 +1525,25 @@ class MQTTMonitor {
               }
               break;
             case 'register':
-              // Allow client to register with a specific ID
-              if (data.wsClientId && this.wsClients.has(data.wsClientId)) {
+              // Allow client to register with a specific ID it already owns
+              if (data.wsClientId && this.wsClients.has(data.wsClientId) &&
+                  this.wsClients.get(data.wsClientId).user.id === req.user.id) {
                 // Update existing client
                 const clientInfo = this.wsClients.get(data.wsClientId);
                 clientInfo.ws = ws;
                 this.wsClients.delete(wsClientId); // Remove auto-generated ID
+                wsClientId = data.wsClientId;
                 console.log(`WebSocket client re-registered: ${data.wsClientId}`);
               }
               break;
             case 'cleanup':
               // Handle explicit cleanup request from client
               const targetClientId = data.wsClientId || wsClientId;
+              const targetClient = this.wsClients.get(targetClientId);
+              if (targetClient && targetClient.user.id !== req.user.id) {
+                console.log(`⛔ Ignoring cleanup of ${targetClientId} requested by another user`);
+                break;
+              }
               console.log(`🧹 Received cleanup request for client: ${targetClientId}`);
               this.handleWebSocketDisconnect(targetClientId);
               break;
@@ -395,60 +1570,32 @@ class MQTTMonitor {
   }
 
   async connectMQTT(connection, wsClientId = null) {
-    const clientId = connection.client_id || `mqtt_monitor_${Date.now()}`;
-    
-    // Parse the connection URL to determine protocol
-    let brokerUrl;
-    let options = {
-      clientId: clientId,
-      keepalive: connection.keepalive || 60,
-      clean: connection.clean_session !== false,
-      reconnectPeriod: 5000,
-      connectTimeout: 30000,
-    };
-
-    // Check if it's a WebSocket URL (AWS MQ format)
-    if (connection.host.startsWith('wss://') || connection.host.startsWith('ws://')) {
-      brokerUrl = connection.host;
-      
-      // For WSS connections (AWS MQ), add TLS options
-      if (connection.host.startsWith('wss://')) {
-        options.protocol = 'wss';
-        options.rejectUnauthorized = false; // For self-signed certificates
-        options.secureProtocol = 'TLSv1_2_method'; // Force TLS 1.2
-      }
-    } else {
-      // Traditional MQTT connection
-      const protocol = connection.port === 8883 || connection.port === 443 ? 'mqtts' : 'mqtt';
-      brokerUrl = `${protocol}://${connection.host}:${connection.port}`;
-      
-      // For secure MQTT connections
-      if (protocol === 'mqtts') {
-        options.rejectUnauthorized = false;
-        options.secureProtocol = 'TLSv1_2_method';
-      }
+    // Reuse a client that is already running instead of opening a duplicate session
+    if (this.mqttClients.has(connection.id)) {
+      this.associateWebSocketClient(connection.id, wsClientId);
+      console.log(`MQTT connection ${connection.id} is already active`);
+      return;
     }
 
-    if (connection.username) {
-      options.username = connection.username;
-    }
-    if (connection.password) {
-      options.password = connection.password;
-    }
+    const { brokerUrl, options } = this.buildConnectOptions(connection);
 
-    console.log('Connecting to MQTT broker:', brokerUrl, 'with options:', { ...options, password: options.password ? '[HIDDEN]' : undefined });
+    console.log('Connecting to MQTT broker:', brokerUrl, 'with options:', {
+      ...options,
+      password: options.password ? '[HIDDEN]' : undefined,
+      key: options.key ? '[HIDDEN]' : undefined,
+      ca: options.ca ? '[PEM]' : undefined,
+      cert: options.cert ? '[PEM]' : undefined
+    });
     
     const client = mqtt.connect(brokerUrl, options);
 
+    // Track the client straight away so it can be ended even while it is still (re)connecting
+    client._alwaysOn = !!connection.always_on;
+    this.mqttClients.set(connection.id, client);
+    this.associateWebSocketClient(connection.id, wsClientId);
+
     client.on('connect', () => {
       console.log(`Connected to MQTT broker: ${connection.host}:${connection.port}`);
-      this.mqttClients.set(connection.id, client);
-      
-      // Associate MQTT connection with WebSocket client if provided
-      if (wsClientId && this.wsClients.has(wsClientId)) {
-        this.wsClients.get(wsClientId).mqttConnections.add(connection.id);
-        console.log(`Associated MQTT connection ${connection.id} with WebSocket client ${wsClientId}`);
-      }
       
       this.broadcast({ type: 'connectionStatus', connectionId: connection.id, status: 'connected' });
       
@@ -478,18 +1625,13 @@ class MQTTMonitor {
       });
     });
 
+    client.on('reconnect', () => {
+      this.reconnectCounts.set(connection.id, (this.reconnectCounts.get(connection.id) || 0) + 1);
+    });
+
     client.on('close', () => {
+      // mqtt.js keeps reconnecting after this; the client is only dropped by disconnectMQTT()
       console.log(`MQTT connection closed: ${connection.name}`);
-      this.mqttClients.delete(connection.id);
-      
-      // Remove association from all WebSocket clients
-      this.wsClients.forEach((clientInfo, wsId) => {
-        if (clientInfo.mqttConnections.has(connection.id)) {
-          clientInfo.mqttConnections.delete(connection.id);
-          console.log(`Removed MQTT connection ${connection.id} from WebSocket client ${wsId}`);
-        }
-      });
-      
       this.broadcast({ type: 'connectionStatus', connectionId: connection.id, status: 'disconnected' });
     });
 
@@ -506,7 +1648,7 @@ class MQTTMonitor {
         const activeTopics = topics.filter(t => t.active);
         const matchingWildcards = activeTopics.filter(t => 
           (t.topic.includes('#') || t.topic.includes('+')) && 
-          this.topicMatches(topic, t.topic)
+          MessageFilter.topicMatches(topic, t.topic)
         );
         
         if (matchingWildcards.length > 0) {
@@ -517,29 +1659,67 @@ class MQTTMonitor {
           if (wildcardSubs.length > 0) {
             console.log(`⚠️ Message on "${topic}" did NOT match any wildcard subscriptions:`);
             wildcardSubs.forEach(sub => {
-              console.log(`   - "${sub.topic}" -> ${this.topicMatches(topic, sub.topic) ? 'MATCH' : 'NO MATCH'}`);
+              console.log(`   - "${sub.topic}" -> ${MessageFilter.topicMatches(topic, sub.topic) ? 'MATCH' : 'NO MATCH'}`);
             });
           }
         }
         
+        // Binary payloads have no text form; they are shown through decoded and stored as raw bytes
+        const isText = PayloadDecoder.isUtf8(message);
         const messageData = {
           connection_id: connection.id,
           topic: topic,
-          message: message.toString(),
+          message: isText ? message.toString() : '',
           qos: packet.qos,
           retained: packet.retain,
+          size: message.length,
           timestamp: new Date().toISOString()
         };
 
-        console.log(`📨 Processing MQTT message for real-time display only`);
+        // Binary payloads and topics with a decoder rule carry a decoded form for display
+        const decoded = this.decoders.decode(message, connection.id, topic);
+        if (decoded) {
+          messageData.decoded = decoded;
+        }
+
+        // Alert rules and throughput stats see every message, even while monitoring is paused for the UI
+        this.alerts.handleMessage(messageData);
+        this.throughput.record(connection.id, topic, message.length);
+
+        const violation = this.schemas.validate(connection.id, topic, messageData.message, decoded);
+        if (violation) {
+          messageData.schemaErrors = violation.errors;
+          this.throughput.recordSchemaViolation(connection.id, topic);
+          if (violation.notify) {
+            this.notifySchemaViolation(connection, topic, violation.errors);
+          }
+        }
+
+        const properties = this.extractMessageProperties(packet);
+        if (properties) {
+          messageData.properties = properties;
+        }
+
+        this.recorder.handleMessage(connection.id, topic, message, packet, properties);
+        this.forwarder.handleMessage(connection.id, topic, message, packet, properties);
+
+        // Store the message unless history is disabled for this connection
+        if (connection.message_retention_hours > 0) {
+          try {
+            const stored = await this.db.addMessage({
+              ...messageData,
+              payload: isText ? null : message
+            });
+            messageData.id = stored.id;
+          } catch (error) {
+            console.error(`❌ Failed to store message on topic "${topic}":`, error);
+          }
+        }
 
-        // Only broadcast if monitoring is not paused (no database storage)
+        // Only forward if monitoring is not paused
         if (!client._pauseMonitoring) {
-          this.broadcast({
-            type: 'message',
-            data: messageData
-          });
-          console.log(`📡 Message broadcasted to WebSocket clients (real-time only)`);
+          const delivered = this.sendToSubscribers(messageData);
+          console.log(`📡 Message sent to ${delivered} subscribed WebSocket clients`);
         } else {
           console.log(`⏸️ Message monitoring paused - not broadcasting to UI`);
         }
@@ -549,6 +1729,89 @@ class MQTTMonitor {
     });
   }
 
+  // Work out the broker URL and mqtt.js options (including TLS) for a connection record
+  buildConnectOptions(connection) {
+    const options = {
+      clientId: connection.client_id || `mqtt_monitor_${Date.now()}`,
+      keepalive: connection.keepalive || 60,
+      clean: connection.clean_session !== false && connection.clean_session !== 0,
+      reconnectPeriod: 5000,
+      connectTimeout: 30000,
+      protocolVersion: connection.protocol_version || 4,
+    };
+
+    if (options.protocolVersion === 3) {
+      // MQTT 3.1 uses the legacy protocol name and limits client IDs to 23 characters
+      options.protocolId = 'MQIsdp';
+      if (!connection.client_id) {
+        options.clientId = `mqtt_mon_${Date.now().toString(36)}`;
+      }
+    } else if (options.protocolVersion === 5) {
+      const properties = {};
+      if (connection.session_expiry_interval !== null && connection.session_expiry_interval !== undefined) {
+        properties.sessionExpiryInterval = connection.session_expiry_interval;
+      }
+      if (connection.receive_maximum) {
+        properties.receiveMaximum = connection.receive_maximum;
+      }
+      if (connection.topic_alias_maximum) {
+        properties.topicAliasMaximum = connection.topic_alias_maximum;
+        // Let mqtt.js replace repeated publish topics with aliases the broker allows
+        options.autoAssignTopicAlias = true;
+      }
+      if (Object.keys(properties).length > 0) {
+        options.properties = properties;
+      }
+    }
+
+    const explicitProtocol = connection.protocol && connection.protocol !== 'auto' ? connection.protocol : null;
+    const urlMatch = connection.host.match(/^([a-z]+):\/\//i);
+    let protocol;
+    let brokerUrl;
+
+    if (urlMatch) {
+      // Full URL in the host field (e.g. AWS MQ WebSocket endpoints); an explicit protocol overrides its scheme
+      protocol = explicitProtocol || urlMatch[1].toLowerCase();
+      brokerUrl = connection.host.replace(/^[a-z]+:\/\//i, `${protocol}://`);
+    } else {
+      // Without an explicit protocol, fall back to guessing from well-known TLS ports
+      protocol = explicitProtocol || (connection.port === 8883 || connection.port === 443 ? 'mqtts' : 'mqtt');
+      const port = connection.port ? `:${connection.port}` : '';
+      const wsPath = protocol === 'ws' || protocol === 'wss' ? '/mqtt' : '';
+      brokerUrl = `${protocol}://${connection.host}${port}${wsPath}`;
+    }
+
+    if (protocol === 'mqtts' || protocol === 'wss') {
+      options.rejectUnauthorized = connection.reject_unauthorized !== false && connection.reject_unauthorized !== 0;
+      if (!options.rejectUnauthorized) {
+        console.warn(`⚠️ Server certificate verification is disabled for connection "${connection.name}"`);
+      }
+      if (connection.ca_cert) {
+        options.ca = connection.ca_cert;
+      }
+      if (connection.client_cert && connection.client_key) {
+        options.cert = connection.client_cert;
+        options.key = connection.client_key;
+      }
+      if (connection.tls_servername) {
+        options.servername = connection.tls_servername;
+      }
+      if (connection.tls_version) {
+        options.minVersion = connection.tls_version;
+        options.maxVersion = connection.tls_version;
+      }
+    }
+
+    if (connection.username) {
+      options.username = connection.username;
+    }
+    if (connection.password) {
+      options.password = connection.password;
+    }
+
+    return { brokerUrl, options };
+  }
+
   async subscribeToTopics(connectionId) {
     try {
       const topics = await this.db.getTopics(connectionId);
@@ -589,12 +1852,254 @@ class MQTTMonitor {
     }
   }
 
+  // Pick the MQTT v5 publish properties worth showing from an incoming packet
+  extractMessageProperties(packet) {
+    const source = packet.properties;
+    if (!source) {
+      return null;
+    }
+
+    const properties = {};
+    if (source.userProperties) {
+      properties.userProperties = source.userProperties;
+    }
+    if (source.contentType) {
+      properties.contentType = source.contentType;
+    }
+    if (source.responseTopic) {
+      properties.responseTopic = source.responseTopic;
+    }
+    if (source.correlationData) {
+      properties.correlationData = this.formatBinaryProperty(source.correlationData);
+    }
+    if (source.messageExpiryInterval !== undefined) {
+      properties.messageExpiryInterval = source.messageExpiryInterval;
+    }
+    if (source.payloadFormatIndicator !== undefined) {
+      properties.payloadFormatIndicator = source.payloadFormatIndicator;
+    }
+    if (source.subscriptionIdentifier !== undefined) {
+      properties.subscriptionIdentifier = source.subscriptionIdentifier;
+    }
+
+    return Object.keys(properties).length > 0 ? properties : null;
+  }
+
+  // Show binary properties as text when they are printable UTF-8, otherwise as hex
+  formatBinaryProperty(buffer) {
+    const text = buffer.toString('utf8');
+    const printable = Buffer.from(text, 'utf8').equals(buffer) && !/[\x00-\x08\x0e-\x1f]/.test(text);
+    return printable ? text : `0x${buffer.toString('hex')}`;
+  }
+
+  // Publish through the live client for a connection; resolves once the broker has accepted it
+  async publishMessage(connectionId, topic, payload, options = {}) {
+    if (!topic || typeof topic !== 'string') {
+      throw new RequestError('Topic is required');
+    }
+    if (topic.includes('#') || topic.includes('+')) {
+      throw new RequestError('Wildcards are not allowed in publish topics');
+    }
+
+    const qos = parseInt(options.qos) || 0;
+    if (![0, 1, 2].includes(qos)) {
+      throw new RequestError('QoS must be 0, 1 or 2');
+    }
+
+    const client = this.mqttClients.get(connectionId);
+    if (!client || !client.connected) {
+      throw new RequestError('Connection is not connected', 409);
+    }
+
+    let body = payload;
+    if (body === undefined || body === null) {
+      body = '';
+    } else if (typeof body === 'object' && !Buffer.isBuffer(body)) {
+      body = JSON.stringify(body);
+    } else if (typeof body !== 'string' && !Buffer.isBuffer(body)) {
+      body = String(body);
+    }
+
+    const publishOptions = { qos, retain: !!options.retain };
+    const properties = this.normalizePublishProperties(options.properties);
+    if (properties) {
+      publishOptions.properties = properties;
+    }
+
+    await new Promise((resolve, reject) => {
+      client.publish(topic, body, publishOptions, (err) => {
+        if (err) reject(err);
+        else resolve();
+      });
+    });
+  }
+
+  // Convert MQTT v5 publish properties from their JSON form into what mqtt.js expects
+  normalizePublishProperties(properties) {
+    if (!properties || typeof properties !== 'object') {
+      return null;
+    }
+
+    const normalized = {};
+    if (properties.contentType) {
+      normalized.contentType = String(properties.contentType);
+    }
+    if (properties.responseTopic) {
+      normalized.responseTopic = String(properties.responseTopic);
+    }
+    if (properties.correlationData) {
+      // Forwarded and replayed messages pass their raw bytes; the publish form sends text
+      normalized.correlationData = Buffer.isBuffer(properties.correlationData)
+        ? properties.correlationData
+        : Buffer.from(String(properties.correlationData));
+    }
+    if (properties.messageExpiryInterval !== undefined && properties.messageExpiryInterval !== null && properties.messageExpiryInterval !== '') {
+      normalized.messageExpiryInterval = parseInt(properties.messageExpiryInterval);
+    }
+    if (properties.payloadFormatIndicator !== undefined) {
+      normalized.payloadFormatIndicator = !!properties.payloadFormatIndicator;
+    }
+    if (properties.userProperties && typeof properties.userProperties === 'object') {
+      normalized.userProperties = {};
+      Object.entries(properties.userProperties).forEach(([key, value]) => {
+        normalized.userProperties[key] = Array.isArray(value) ? value.map(String) : String(value);
+      });
+    }
+
+    return Object.keys(normalized).length > 0 ? normalized : null;
+  }
+
   async disconnectMQTT(connectionId) {
+    connectionId = parseInt(connectionId);
     const client = this.mqttClients.get(connectionId);
     if (client) {
-      client.end();
       this.mqttClients.delete(connectionId);
+
+      // Remove association from all WebSocket clients
+      this.wsClients.forEach((clientInfo, wsId) => {
+        if (clientInfo.mqttConnections.delete(connectionId)) {
+          console.log(`Removed MQTT connection ${connectionId} from WebSocket client ${wsId}`);
+        }
+      });
+
+      await new Promise(resolve => client.end(false, {}, resolve));
+    }
+  }
+
+  // Restart a live connection with its updated settings, keeping its viewers attached
+  async reconnectMQTT(connection) {
+    const previous = this.mqttClients.get(connection.id);
+    const pauseMonitoring = previous ? previous._pauseMonitoring : false;
+    const owners = [];
+    this.wsClients.forEach((clientInfo, wsId) => {
+      if (clientInfo.mqttConnections.has(connection.id)) {
+        owners.push(wsId);
+      }
+    });
+
+    console.log(`🔄 Reconnecting MQTT connection ${connection.id} with updated settings`);
+    await this.disconnectMQTT(connection.id);
+    await this.connectMQTT(connection);
+
+    const client = this.mqttClients.get(connection.id);
+    if (client) {
+      client._pauseMonitoring = pauseMonitoring;
+    }
+    owners.forEach(wsId => this.associateWebSocketClient(connection.id, wsId));
+  }
+
+  associateWebSocketClient(connectionId, wsClientId) {
+    if (wsClientId && this.wsClients.has(wsClientId)) {
+      this.wsClients.get(wsClientId).mqttConnections.add(connectionId);
+      console.log(`Associated MQTT connection ${connectionId} with WebSocket client ${wsClientId}`);
+    }
+  }
+
+  // Add or remove a viewer's interest in a connection; topics narrows it to MQTT topic patterns
+  updateViewerSubscription(wsClientId, connectionId, topics, subscribe) {
+    const clientInfo = this.wsClients.get(wsClientId);
+    connectionId = parseInt(connectionId);
+    if (!clientInfo || isNaN(connectionId)) {
+      throw new Error('A valid connectionId is required');
+    }
+
+    const patterns = (Array.isArray(topics) ? topics : [topics]).filter(topic => typeof topic === 'string' && topic);
+    const current = clientInfo.subscriptions.get(connectionId);
+
+    if (subscribe) {
+      if (patterns.length === 0 || current === null) {
+        clientInfo.subscriptions.set(connectionId, null);
+      } else {
+        clientInfo.subscriptions.set(connectionId, new Set([...(current || []), ...patterns]));
+      }
+    } else if (patterns.length === 0) {
+      clientInfo.subscriptions.delete(connectionId);
+    } else if (current) {
+      patterns.forEach(pattern => current.delete(pattern));
+      if (current.size === 0) {
+        clientInfo.subscriptions.delete(connectionId);
+      }
     }
+
+    console.log(`👀 WebSocket client ${wsClientId} ${subscribe ? 'subscribed to' : 'unsubscribed from'} connection ${connectionId}${patterns.length ? ` (${patterns.join(', ')})` : ''}`);
+    return Array.from(clientInfo.subscriptions.entries()).map(([id, topicSet]) => ({
+      connectionId: id,
+      topics: topicSet ? Array.from(topicSet) : null
+    }));
+  }
+
+  isSubscribed(clientInfo, connectionId, topic) {
+    if (!clientInfo.subscriptions.has(connectionId)) {
+      return false;
+    }
+    const patterns = clientInfo.subscriptions.get(connectionId);
+    return patterns === null || Array.from(patterns).some(pattern => MessageFilter.topicMatches(topic, pattern));
+  }
+
+  // Deliver a received MQTT message only to the viewers subscribed to its connection and topic
+  // whose filter expression (if any) matches it
+  sendToSubscribers(messageData) {
+    const payload = JSON.stringify({ type: 'message', data: messageData });
+    let delivered = 0;
+
+    this.wsClients.forEach((clientInfo) => {
+      if (clientInfo.ws.readyState === WebSocket.OPEN &&
+          this.isSubscribed(clientInfo, messageData.connection_id, messageData.topic) &&
+          (!clientInfo.filter || clientInfo.filter.matches(messageData))) {
+        clientInfo.ws.send(payload);
+        delivered++;
+      }
+    });
+    return delivered;
+  }
+
+  // Whether a viewer is subscribed to a topic on a connection, or for a wildcard pattern (the topic of
+  // rate and silence alerts) to any topic the pattern covers; without a connection any of its connections counts
+  watchesTopic(clientInfo, connectionId, topic) {
+    const connectionIds = connectionId ? [connectionId] : Array.from(clientInfo.subscriptions.keys());
+    return connectionIds.some(id => {
+      if (!clientInfo.subscriptions.has(id)) {
+        return false;
+      }
+      const patterns = clientInfo.subscriptions.get(id);
+      return patterns === null || Array.from(patterns).some(pattern => MessageFilter.topicPatternsOverlap(topic, pattern));
+    });
+  }
+
+  // Deliver an event about a connection and topic only to the viewers watching them, plus any extra
+  // recipients; returns the ids of the WebSocket clients it was sent to
+  sendToTopicViewers(data, connectionId, topic, extraRecipients = new Set()) {
+    const payload = JSON.stringify(data);
+    const recipients = new Set();
+
+    this.wsClients.forEach((clientInfo, wsClientId) => {
+      if (clientInfo.ws.readyState === WebSocket.OPEN &&
+          (extraRecipients.has(wsClientId) || this.watchesTopic(clientInfo, connectionId, topic))) {
+        clientInfo.ws.send(payload);
+        recipients.add(wsClientId);
+      }
+    });
+    return recipients;
   }
 
   broadcast(data) {
@@ -605,12 +2110,133 @@ class MQTTMonitor {
     });
   }
 
-  // Cleanup methods removed - no message storage needed
+  startMessageCleanup() {
+    const runCleanup = async () => {
+      try {
+        const result = await this.db.cleanupOldMessages();
+        if (result.deleted > 0) {
+          console.log(`🧹 Removed ${result.deleted} messages past their retention window`);
+        }
+        await this.auth.cleanupExpiredSessions();
+      } catch (error) {
+        console.error('Error cleaning up old messages:', error);
+      }
+    };
+
+    // Purge expired messages and sessions at startup and then every 10 minutes
+    runCleanup();
+    this.messageCleanupInterval = setInterval(runCleanup, 10 * 60 * 1000);
+  }
+
+  stopMessageCleanup() {
+    if (this.messageCleanupInterval) {
+      clearInterval(this.messageCleanupInterval);
+      this.messageCleanupInterval = null;
+    }
+  }
+
+  async collectMetrics() {
+    const metrics = new PrometheusMetrics('mqtt_monitor_');
+    const connections = await this.db.getConnections();
+    const activeTopics = await this.db.getAllActiveTopics();
+    const throughput = new Map(this.throughput.overview().map(stats => [stats.connectionId, stats]));
+    // Per-topic series can be turned off for brokers with very many topics
+    const perTopic = process.env.METRICS_PER_TOPIC !== 'false';
+
+    metrics.gauge('connection_up', 'Whether the MQTT connection is currently connected (1) or not (0)');
+    metrics.gauge('connection_reconnecting', 'Whether the MQTT client is currently trying to reconnect');
+    metrics.counter('connection_reconnects_total', 'Reconnect attempts to the broker since the server started');
+    metrics.gauge('connection_subscriptions', 'Active topic subscriptions configured for the connection');
+    metrics.gauge('connection_viewers', 'WebSocket clients receiving messages from the connection');
+    metrics.counter('messages_received_total', 'MQTT messages received per connection');
+    metrics.counter('bytes_received_total', 'Payload bytes received per connection');
+    if (perTopic) {
+      metrics.counter('topic_messages_received_total', 'MQTT messages received per topic');
+      metrics.counter('topic_bytes_received_total', 'Payload bytes received per topic');
+    }
+    metrics.counter('schema_violations_total', 'Messages that failed the JSON Schema of their topic');
+    metrics.gauge('websocket_clients', 'Connected WebSocket clients');
+    metrics.gauge('uptime_seconds', 'Seconds since the server started');
+
+    connections.forEach(connection => {
+      const labels = { connection_id: connection.id, connection: connection.name };
+      const client = this.mqttClients.get(connection.id);
+      const viewers = Array.from(this.wsClients.values()).filter(info => info.subscriptions.has(connection.id)).length;
+      const stats = throughput.get(connection.id);
+
+      metrics.sample('connection_up', labels, client && client.connected ? 1 : 0);
+      metrics.sample('connection_reconnecting', labels, client && client.reconnecting ? 1 : 0);
+      metrics.sample('connection_reconnects_total', labels, this.reconnectCounts.get(connection.id) || 0);
+      metrics.sample('connection_subscriptions', labels, activeTopics.filter(topic => topic.connection_id === connection.id).length);
+      metrics.sample('connection_viewers', labels, viewers);
+      metrics.sample('messages_received_total', labels, stats ? stats.messages : 0);
+      metrics.sample('bytes_received_total', labels, stats ? stats.bytes : 0);
+      metrics.sample('schema_violations_total', labels, stats ? stats.schemaViolations : 0);
+
+      if (perTopic && stats) {
+        this.throughput.connection(connection.id, { sort: 'topic', limit: Infinity }).topics.forEach(topic => {
+          metrics.sample('topic_messages_received_total', { ...labels, topic: topic.topic }, topic.messages);
+          metrics.sample('topic_bytes_received_total', { ...labels, topic: topic.topic }, topic.bytes);
+        });
+      }
+    });
+
+    metrics.sample('websocket_clients', {}, this.wsClients.size);
+    metrics.sample('uptime_seconds', {}, Math.round((Date.now() - this.throughput.startedAt) / 1000));
+    return metrics;
+  }
+
+  // Push per-connection rates to every browser so the dashboard updates without polling
+  startStatsBroadcast() {
+    this.statsInterval = setInterval(() => {
+      if (this.wsClients.size === 0) {
+        return;
+      }
+      const connections = this.throughput.overview();
+      const timestamp = new Date().toISOString();
+
+      // Each viewer only gets the counters of the connections it is subscribed to
+      this.wsClients.forEach((clientInfo) => {
+        if (clientInfo.ws.readyState !== WebSocket.OPEN) {
+          return;
+        }
+        const visible = (connectionId) => clientInfo.subscriptions.has(connectionId);
+        clientInfo.ws.send(JSON.stringify({
+          type: 'stats',
+          connections: connections.filter(connection => visible(connection.connectionId)),
+          forwarding: this.forwarder.stats(visible),
+          simulators: this.simulator.stats(visible),
+          timestamp
+        }));
+      });
+    }, STATS_INTERVAL_MS);
+  }
+
+  stopStatsBroadcast() {
+    if (this.statsInterval) {
+      clearInterval(this.statsInterval);
+      this.statsInterval = null;
+    }
+  }
 
   start(port = 3000) {
     this.server.listen(port, () => {
       console.log(`MQTT Monitor server running on http://localhost:${port}`);
       console.log(`WebSocket server running on ws://localhost:${port}`);
+      // Decoder and alert rules are loaded first so always-on connections use them from their first message
+      this.loadPayloadDecoders()
+        .catch(error => console.error('❌ Failed to load payload decoders:', error))
+        .then(() => this.loadTopicSchemas())
+        .catch(error => console.error('❌ Failed to load topic schemas:', error))
+        .then(() => this.alerts.start())
+        .catch(error => console.error('❌ Failed to start alert engine:', error))
+        .then(() => this.recorder.start())
+        .catch(error => console.error('❌ Failed to start session recorder:', error))
+        .then(() => this.forwarder.loadRules())
+        .catch(error => console.error('❌ Failed to load forwarding rules:', error))
+        .then(() => this.startEmbeddedBroker())
+        .catch(error => console.error('❌ Failed to start embedded MQTT broker:', error))
+        .then(() => this.connectAlwaysOnConnections());
     });
 
     this.server.on('error', (error) => {
@@ -622,22 +2248,77 @@ class MQTTMonitor {
     });
   }
 
+  // Start the embedded broker when EMBEDDED_BROKER=true and keep its built-in connection pointing at it.
+  // The connection is created once (always on, subscribed to #); later starts only update its address and credentials.
+  async startEmbeddedBroker() {
+    if (!this.embeddedBroker.enabled) {
+      return;
+    }
+    await this.embeddedBroker.start();
+
+    const settings = this.embeddedBroker.connectionSettings();
+    const existing = await this.db.getBuiltInConnection();
+    if (existing) {
+      await this.db.updateConnection(existing.id, settings);
+      return;
+    }
+
+    const connection = await this.db.addConnection({ name: 'Embedded broker', ...settings, always_on: true });
+    await this.db.markConnectionBuiltIn(connection.id);
+    await this.db.addTopic({ connection_id: connection.id, topic: '#', qos: 0, active: true });
+    console.log(`🏠 Created built-in connection ${connection.id} for the embedded broker`);
+  }
+
+  // Connect every connection flagged "always on"; they stay up without any browser attached.
+  // The built-in connection is skipped while the embedded broker is not running, there is nothing to connect to.
+  async connectAlwaysOnConnections() {
+    try {
+      const connections = await this.db.getConnections();
+      const alwaysOn = connections.filter(connection => connection.always_on);
+      if (alwaysOn.length > 0) {
+        console.log(`🛰️ Starting ${alwaysOn.length} always-on MQTT connections`);
+      }
+
+      for (const connection of alwaysOn) {
+        if (connection.built_in && !this.embeddedBroker.running) {
+          console.log(`🏠 Skipping built-in connection ${connection.id}: the embedded broker is not running`);
+          continue;
+        }
+        await this.connectMQTT(connection);
+      }
+    } catch (error) {
+      console.error('❌ Failed to start always-on connections:', error);
+    }
+  }
+
   handleWebSocketDisconnect(wsClientId) {
     const clientInfo = this.wsClients.get(wsClientId);
     if (clientInfo) {
       console.log(`🧹 Cleaning up WebSocket client: ${wsClientId}`);
       console.log(`📊 Client had ${clientInfo.mqttConnections.size} MQTT connections`);
       
-      // Disconnect all MQTT connections associated with this WebSocket client
+      // Remove client info first so it no longer counts as an owner below
+      this.wsClients.delete(wsClientId);
+
+      // Disconnect MQTT connections this client started, unless they are always on or another viewer still owns them
       clientInfo.mqttConnections.forEach(connectionId => {
+        const client = this.mqttClients.get(connectionId);
+        if (client && client._alwaysOn) {
+          console.log(`🛰️ Keeping always-on MQTT connection ${connectionId} after WebSocket disconnect`);
+          return;
+        }
+        const otherOwners = Array.from(this.wsClients.values()).filter(info => info.mqttConnections.has(connectionId));
+        if (otherOwners.length > 0) {
+          console.log(`👥 Keeping MQTT connection ${connectionId}, still used by ${otherOwners.length} other WebSocket clients`);
+          return;
+        }
+
         console.log(`🔌 Auto-disconnecting MQTT connection ${connectionId} due to WebSocket disconnect`);
         this.disconnectMQTT(connectionId).catch(error => {
           console.error(`Error auto-disconnecting MQTT connection ${connectionId}:`, error);
         });
       });
       
-      // Remove client info
-      this.wsClients.delete(wsClientId);
       console.log(`✅ WebSocket client ${wsClientId} cleaned up`);
     }
   }
@@ -647,8 +2328,15 @@ class MQTTMonitor {
     const cleanup = async (signal) => {
       console.log(`\n🚫 Received ${signal}. Performing graceful shutdown...`);
       
-      // Stop heartbeat
+      // Stop heartbeat, message cleanup, stats and alert timers
       this.stopHeartbeat();
+      this.stopMessageCleanup();
+      this.stopStatsBroadcast();
+      this.alerts.stop();
+      this.simulator.stopAll();
+
+      // Write out recordings in progress before their connections go away
+      await this.recorder.stop().catch(error => console.error('Error stopping recordings:', error));
       
       // Disconnect all MQTT clients
       console.log(`🔌 Disconnecting ${this.mqttClients.size} MQTT connections...`);
@@ -659,6 +2347,7 @@ class MQTTMonitor {
       );
       
       await Promise.allSettled(disconnectPromises);
+      await this.embeddedBroker.stop().catch(error => console.error('Error stopping embedded broker:', error));
       
       // Close WebSocket server
       if (this.wss) {
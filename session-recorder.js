@@ -0,0 +1,347 @@
+const crypto = require("crypto");
+const MessageFilter = require("./message-filter");
+const RequestError = require("./request-error");
+
+const FLUSH_INTERVAL_MS = 1000;
+const FLUSH_BATCH_SIZE = 500; // Buffered messages that trigger a write before the next interval
+const RECORDING_MESSAGE_LIMIT = parseInt(process.env.RECORDING_MESSAGE_LIMIT) || 100000;
+const REPLAY_PAGE_SIZE = 1000;
+const REPLAY_PROGRESS_MS = 1000; // How often replay progress is reported while it runs
+
+// Captures the raw messages of one connection with their offset from the start of the recording,
+// and publishes them again into any live connection with the same spacing (or scaled by a speed factor).
+class SessionRecorder {
+  constructor(database, { getClient, publish, onRecordingUpdate, onReplayUpdate } = {}) {
+    this.db = database;
+    this.getClient = getClient;
+    this.publishMessage = publish;
+    this.onRecordingUpdate = onRecordingUpdate || (() => {});
+    this.onReplayUpdate = onReplayUpdate || (() => {});
+    this.recordings = new Map(); // recording id -> active recording state
+    this.replays = new Map(); // replay id -> replay state
+    this.flushInterval = null;
+    this.writes = Promise.resolve(); // Batches are written one at a time, each in its own transaction
+  }
+
+  // Recordings left running by a previous process are closed with what was written before it stopped
+  async start() {
+    const closed = await this.db.stopInterruptedRecordings(new Date().toISOString());
+    if (closed > 0) {
+      console.log(`⏹️ Closed ${closed} recordings interrupted by the last shutdown`);
+    }
+    this.flushInterval = setInterval(() => this.flushAll(), FLUSH_INTERVAL_MS);
+  }
+
+  async stop() {
+    if (this.flushInterval) {
+      clearInterval(this.flushInterval);
+      this.flushInterval = null;
+    }
+    this.replays.forEach(replay => this.cancelReplay(replay));
+    await Promise.all(Array.from(this.recordings.keys()).map(id => this.stopRecording(id).catch(() => {})));
+  }
+
+  async startRecording({ name, connection_id, topic_filter }) {
+    if (!name) {
+      throw new RequestError('Recording name is required');
+    }
+    if (!this.getClient(connection_id)) {
+      throw new RequestError('Connect the connection before recording it', 409);
+    }
+
+    const startedAt = Date.now();
+    const recording = await this.db.addRecording({
+      name,
+      connection_id,
+      topic_filter: topic_filter || '#',
+      started_at: new Date(startedAt).toISOString()
+    });
+
+    this.recordings.set(recording.id, {
+      recording,
+      startedAt,
+      buffer: [],
+      count: 0,
+      flushing: Promise.resolve()
+    });
+    console.log(`⏺️ Recording "${name}" started on connection ${connection_id} (${recording.topic_filter})`);
+    this.onRecordingUpdate({ ...recording, message_count: 0 });
+    return recording;
+  }
+
+  // Called with the raw payload of every received message
+  handleMessage(connectionId, topic, payload, packet, properties) {
+    this.recordings.forEach((active, recordingId) => {
+      const { recording } = active;
+      if (recording.connection_id !== connectionId || !MessageFilter.topicMatches(topic, recording.topic_filter)) {
+        return;
+      }
+      if (active.count >= RECORDING_MESSAGE_LIMIT) {
+        return;
+      }
+
+      active.buffer.push({
+        offset_ms: Date.now() - active.startedAt,
+        topic,
+        payload: Buffer.from(payload),
+        qos: packet.qos,
+        retained: packet.retain,
+        properties: SessionRecorder.storedProperties(packet, properties)
+      });
+      active.count++;
+
+      if (active.count >= RECORDING_MESSAGE_LIMIT) {
+        console.log(`⏹️ Recording "${recording.name}" reached ${RECORDING_MESSAGE_LIMIT} messages and was stopped`);
+        this.stopRecording(recordingId).catch(error => console.error('❌ Failed to stop recording:', error));
+      } else if (active.buffer.length >= FLUSH_BATCH_SIZE) {
+        this.flush(active);
+      }
+    });
+  }
+
+  flushAll() {
+    this.recordings.forEach(active => this.flush(active));
+  }
+
+  flush(active) {
+    if (active.buffer.length === 0) {
+      return active.flushing;
+    }
+
+    const batch = active.buffer;
+    const count = active.count;
+    active.buffer = [];
+    this.writes = this.writes
+      .then(() => this.db.addRecordingMessages(active.recording.id, batch))
+      .then(() => this.db.updateRecording(active.recording.id, { message_count: count }))
+      .then(() => this.onRecordingUpdate({ ...active.recording, message_count: count }))
+      .catch(error => console.error(`❌ Failed to write recording ${active.recording.id}:`, error));
+    active.flushing = this.writes;
+    return active.flushing;
+  }
+
+  async stopRecording(recordingId) {
+    const active = this.recordings.get(recordingId);
+    if (!active) {
+      return null;
+    }
+    this.recordings.delete(recordingId);
+    await this.flush(active);
+
+    const changes = {
+      status: 'stopped',
+      stopped_at: new Date().toISOString(),
+      message_count: active.count
+    };
+    await this.db.updateRecording(recordingId, changes);
+    console.log(`⏹️ Recording "${active.recording.name}" stopped with ${active.count} messages`);
+
+    const recording = { ...active.recording, ...changes };
+    this.onRecordingUpdate(recording);
+    return recording;
+  }
+
+  async stopRecordingsForConnection(connectionId) {
+    const ids = Array.from(this.recordings.values())
+      .filter(active => active.recording.connection_id === connectionId)
+      .map(active => active.recording.id);
+    await Promise.all(ids.map(id => this.stopRecording(id)));
+  }
+
+  isRecording(recordingId) {
+    return this.recordings.has(recordingId);
+  }
+
+  // The stored count of a running recording lags behind by up to one flush
+  withLiveCount(recording) {
+    const active = this.recordings.get(recording.id);
+    return active ? { ...recording, message_count: active.count } : recording;
+  }
+
+  // Check replay options; returns an error message or null
+  static validateReplay({ speed, topic_map }) {
+    if (typeof speed !== 'number' || !(speed >= 0) || speed > 1000) {
+      return 'Speed must be 0 (as fast as possible) or a factor up to 1000';
+    }
+    if (!Array.isArray(topic_map) || topic_map.some(rule => !rule || typeof rule.from !== 'string' || typeof rule.to !== 'string' || !rule.from)) {
+      return 'Topic map must be a list of { from, to } topic prefixes';
+    }
+    return null;
+  }
+
+  // The first rule whose prefix matches rewrites the topic; topics without a match are kept
+  static remapTopic(topic, topicMap) {
+    const rule = topicMap.find(r => topic.startsWith(r.from));
+    return rule ? rule.to + topic.slice(rule.from.length) : topic;
+  }
+
+  async startReplay(recordingId, { connection_id, speed = 1, topic_map = [] }) {
+    const recording = await this.db.getRecordingById(recordingId);
+    if (!recording) {
+      throw new RequestError('Recording not found', 404);
+    }
+    if (this.isRecording(recordingId)) {
+      throw new RequestError('Stop the recording before replaying it', 409);
+    }
+    const validationError = SessionRecorder.validateReplay({ speed, topic_map });
+    if (validationError) {
+      throw new RequestError(validationError);
+    }
+    if (!this.getClient(connection_id)) {
+      throw new RequestError('Connect the target connection before replaying into it', 409);
+    }
+
+    const replay = {
+      id: crypto.randomUUID(),
+      recording_id: recording.id,
+      recording_name: recording.name,
+      connection_id,
+      speed,
+      topic_map,
+      status: 'running',
+      sent: 0,
+      total: recording.message_count,
+      started_at: new Date().toISOString(),
+      finished_at: null,
+      error: null,
+      timer: null,
+      wake: null,
+      lastReport: 0
+    };
+    this.replays.set(replay.id, replay);
+    console.log(`▶️ Replaying "${recording.name}" into connection ${connection_id} at ${speed === 0 ? 'full speed' : `${speed}x`}`);
+
+    this.runReplay(replay)
+      .then(() => this.finishReplay(replay, replay.status === 'running' ? 'finished' : replay.status))
+      .catch(error => {
+        replay.error = error.message;
+        this.finishReplay(replay, 'failed');
+      });
+
+    this.reportReplay(replay);
+    return this.describeReplay(replay);
+  }
+
+  async runReplay(replay) {
+    const startedAt = Date.now();
+    let firstOffset = null;
+    let afterId = 0;
+
+    while (replay.status === 'running') {
+      const page = await this.db.getRecordingMessages(replay.recording_id, afterId, REPLAY_PAGE_SIZE);
+      if (page.length === 0) {
+        return;
+      }
+
+      for (const message of page) {
+        if (replay.status !== 'running') {
+          return;
+        }
+        if (firstOffset === null) {
+          firstOffset = message.offset_ms;
+        }
+
+        // Due times are absolute, so time spent publishing does not add up as drift
+        if (replay.speed > 0) {
+          const due = startedAt + (message.offset_ms - firstOffset) / replay.speed;
+          await this.wait(replay, due - Date.now());
+          if (replay.status !== 'running') {
+            return;
+          }
+        }
+
+        await this.publish(replay, message);
+        replay.sent++;
+        if (Date.now() - replay.lastReport >= REPLAY_PROGRESS_MS) {
+          this.reportReplay(replay);
+        }
+      }
+      afterId = page[page.length - 1].id;
+    }
+  }
+
+  // properties is the display copy, where binary correlation data reads 0x<hex>; the original bytes are
+  // saved as base64 instead so a replay sends them unchanged
+  static storedProperties(packet, properties) {
+    const correlationData = packet.properties && packet.properties.correlationData;
+    if (!correlationData) {
+      return properties;
+    }
+    return { ...properties, correlationData: correlationData.toString('base64'), correlationDataEncoding: 'base64' };
+  }
+
+  static replayedProperties(properties) {
+    if (!properties || properties.correlationDataEncoding !== 'base64') {
+      return properties;
+    }
+    const { correlationDataEncoding, ...rest } = properties;
+    return { ...rest, correlationData: Buffer.from(properties.correlationData, 'base64') };
+  }
+
+  publish(replay, message) {
+    const topic = SessionRecorder.remapTopic(message.topic, replay.topic_map);
+    return this.publishMessage(replay.connection_id, topic, message.payload, {
+      qos: message.qos,
+      retain: message.retained,
+      properties: SessionRecorder.replayedProperties(message.properties)
+    });
+  }
+
+  wait(replay, ms) {
+    if (ms <= 0) {
+      return Promise.resolve();
+    }
+    return new Promise(resolve => {
+      replay.wake = resolve;
+      replay.timer = setTimeout(resolve, ms);
+    });
+  }
+
+  cancelReplay(replay) {
+    if (replay.status !== 'running') {
+      return;
+    }
+    replay.status = 'stopped';
+    clearTimeout(replay.timer);
+    if (replay.wake) {
+      replay.wake();
+    }
+  }
+
+  stopReplay(replayId) {
+    const replay = this.replays.get(replayId);
+    if (!replay) {
+      return null;
+    }
+    this.cancelReplay(replay);
+    return this.describeReplay(replay);
+  }
+
+  finishReplay(replay, status) {
+    replay.status = status;
+    replay.finished_at = new Date().toISOString();
+    console.log(`⏹️ Replay of "${replay.recording_name}" ${status} after ${replay.sent} messages${replay.error ? `: ${replay.error}` : ''}`);
+    this.reportReplay(replay);
+
+    // Finished replays stay listed for a while so the UI can show how they ended
+    setTimeout(() => this.replays.delete(replay.id), 10 * 60 * 1000).unref();
+  }
+
+  reportReplay(replay) {
+    replay.lastReport = Date.now();
+    this.onReplayUpdate(this.describeReplay(replay));
+  }
+
+  describeReplay(replay) {
+    const { timer, wake, lastReport, ...description } = replay;
+    return description;
+  }
+
+  listReplays() {
+    return Array.from(this.replays.values()).map(replay => this.describeReplay(replay));
+  }
+}
+
+SessionRecorder.RECORDING_MESSAGE_LIMIT = RECORDING_MESSAGE_LIMIT;
+
+module.exports = SessionRecorder;
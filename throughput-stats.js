@@ -0,0 +1,139 @@
+// Message and byte rates for each connection and each topic it receives.
+// Counts are kept per second and only for the seconds that saw traffic, so a quiet topic costs nothing
+// until it is read; rates are averaged over the last RATE_WINDOW_SECONDS.
+const RATE_WINDOW_SECONDS = 10;
+const SORT_ORDERS = ['rate', 'bytes', 'messages', 'silent', 'topic'];
+
+function createCounter() {
+  return {
+    messages: 0,
+    bytes: 0,
+    firstMessageAt: null,
+    lastMessageAt: null,
+    peakMessagesPerSecond: 0,
+    peakBytesPerSecond: 0,
+    schemaViolations: 0,
+    recent: [] // { second, messages, bytes } for the seconds inside the rate window
+  };
+}
+
+function countMessage(counter, bytes, now) {
+  const second = Math.floor(now / 1000);
+  let bucket = counter.recent[counter.recent.length - 1];
+  if (!bucket || bucket.second !== second) {
+    bucket = { second, messages: 0, bytes: 0 };
+    counter.recent.push(bucket);
+    while (counter.recent[0].second <= second - RATE_WINDOW_SECONDS) {
+      counter.recent.shift();
+    }
+  }
+
+  bucket.messages++;
+  bucket.bytes += bytes;
+  counter.messages++;
+  counter.bytes += bytes;
+  counter.firstMessageAt = counter.firstMessageAt || now;
+  counter.lastMessageAt = now;
+  counter.peakMessagesPerSecond = Math.max(counter.peakMessagesPerSecond, bucket.messages);
+  counter.peakBytesPerSecond = Math.max(counter.peakBytesPerSecond, bucket.bytes);
+}
+
+function summarize(counter, now) {
+  const since = Math.floor(now / 1000) - RATE_WINDOW_SECONDS;
+  const inWindow = counter.recent.filter(bucket => bucket.second > since);
+  const round = (value) => Math.round(value * 100) / 100;
+
+  return {
+    messages: counter.messages,
+    bytes: counter.bytes,
+    messagesPerSecond: round(inWindow.reduce((sum, bucket) => sum + bucket.messages, 0) / RATE_WINDOW_SECONDS),
+    bytesPerSecond: round(inWindow.reduce((sum, bucket) => sum + bucket.bytes, 0) / RATE_WINDOW_SECONDS),
+    peakMessagesPerSecond: counter.peakMessagesPerSecond,
+    peakBytesPerSecond: counter.peakBytesPerSecond,
+    averageSize: counter.messages > 0 ? Math.round(counter.bytes / counter.messages) : 0,
+    schemaViolations: counter.schemaViolations,
+    firstMessageAt: counter.firstMessageAt ? new Date(counter.firstMessageAt).toISOString() : null,
+    lastMessageAt: counter.lastMessageAt ? new Date(counter.lastMessageAt).toISOString() : null
+  };
+}
+
+class ThroughputStats {
+  constructor() {
+    this.connections = new Map(); // connection id -> { counter, topics: Map of topic -> counter }
+    this.startedAt = Date.now();
+  }
+
+  record(connectionId, topic, bytes, now = Date.now()) {
+    let connection = this.connections.get(connectionId);
+    if (!connection) {
+      connection = { counter: createCounter(), topics: new Map() };
+      this.connections.set(connectionId, connection);
+    }
+
+    let topicCounter = connection.topics.get(topic);
+    if (!topicCounter) {
+      topicCounter = createCounter();
+      connection.topics.set(topic, topicCounter);
+    }
+
+    countMessage(connection.counter, bytes, now);
+    countMessage(topicCounter, bytes, now);
+  }
+
+  // Counted against a message already passed to record()
+  recordSchemaViolation(connectionId, topic) {
+    const connection = this.connections.get(connectionId);
+    if (!connection) {
+      return;
+    }
+    connection.counter.schemaViolations++;
+    const topicCounter = connection.topics.get(topic);
+    if (topicCounter) {
+      topicCounter.schemaViolations++;
+    }
+  }
+
+  removeConnection(connectionId) {
+    this.connections.delete(connectionId);
+  }
+
+  // Totals per connection, without the topic breakdown
+  overview(now = Date.now()) {
+    return Array.from(this.connections.entries()).map(([connectionId, connection]) => ({
+      connectionId,
+      topicCount: connection.topics.size,
+      ...summarize(connection.counter, now)
+    }));
+  }
+
+  // One connection with its topics; sort by rate, bytes, messages, silent (longest without a message) or topic
+  connection(connectionId, { sort = 'rate', limit = 100 } = {}, now = Date.now()) {
+    const connection = this.connections.get(connectionId);
+    if (!connection) {
+      return { connectionId, topicCount: 0, ...summarize(createCounter(), now), topics: [] };
+    }
+
+    const topics = Array.from(connection.topics.entries()).map(([topic, counter]) => ({ topic, ...summarize(counter, now) }));
+    topics.sort((a, b) => {
+      switch (sort) {
+        case 'bytes': return b.bytesPerSecond - a.bytesPerSecond || b.bytes - a.bytes;
+        case 'messages': return b.messages - a.messages;
+        case 'silent': return a.lastMessageAt.localeCompare(b.lastMessageAt);
+        case 'topic': return a.topic.localeCompare(b.topic);
+        default: return b.messagesPerSecond - a.messagesPerSecond || b.messages - a.messages;
+      }
+    });
+
+    return {
+      connectionId,
+      topicCount: connection.topics.size,
+      ...summarize(connection.counter, now),
+      topics: topics.slice(0, limit)
+    };
+  }
+}
+
+ThroughputStats.RATE_WINDOW_SECONDS = RATE_WINDOW_SECONDS;
+ThroughputStats.SORT_ORDERS = SORT_ORDERS;
+
+module.exports = ThroughputStats;
@@ -0,0 +1,265 @@
+const RequestError = require("./request-error");
+
+const MAX_DEVICES = 1000;
+const MAX_RATE = 100; // Messages per second for each device
+const MAX_TOTAL_RATE = 1000; // Messages per second for one simulator across all of its devices
+const PLACEHOLDER = /\{\{\s*([A-Za-z]+)\s*(?:\(([^)]*)\))?\s*\}\}/g;
+
+function round(value, decimals) {
+  const factor = Math.pow(10, decimals);
+  return Math.round(value * factor) / factor;
+}
+
+// Placeholder generators: each gets the numeric arguments and the context of one message
+//   {{device}}                        device number, 1 to the device count
+//   {{counter}}                       messages this device has sent, starting at 1
+//   {{timestamp}} / {{epoch}}         send time as ISO text / milliseconds
+//   {{random(min,max[,decimals])}}    uniformly random number, 2 decimals by default
+//   {{randomInt(min,max)}}            random whole number, both ends included
+//   {{sine(min,max,period[,decimals])}} sine wave over period seconds, shifted for each device
+//   {{step(start,increment[,max])}}   start + increment per message, back to start after max
+const GENERATORS = {
+  device: { args: [0, 0], generate: (args, context) => context.device },
+  counter: { args: [0, 0], generate: (args, context) => context.counter },
+  timestamp: { args: [0, 0], generate: (args, context) => new Date(context.time).toISOString() },
+  epoch: { args: [0, 0], generate: (args, context) => context.time },
+  random: {
+    args: [2, 3],
+    generate: ([min, max, decimals = 2]) => round(min + Math.random() * (max - min), decimals)
+  },
+  randomInt: {
+    args: [2, 2],
+    generate: ([min, max]) => Math.floor(min + Math.random() * (max - min + 1))
+  },
+  sine: {
+    args: [3, 4],
+    generate: ([min, max, period, decimals = 2], context) => {
+      const phase = 2 * Math.PI * ((context.time / 1000) / period + (context.device - 1) / context.deviceCount);
+      return round(min + (max - min) * (1 + Math.sin(phase)) / 2, decimals);
+    }
+  },
+  step: {
+    args: [2, 3],
+    generate: ([start, increment, max], context) => {
+      const steps = context.counter - 1;
+      if (max === undefined || increment === 0) {
+        return start + increment * steps;
+      }
+      const levels = Math.floor((max - start) / increment) + 1;
+      return start + increment * (steps % levels);
+    }
+  }
+};
+
+// Publishes synthetic traffic through a saved connection: every device of a running simulator sends one
+// message per tick, with the topic and payload templates filled in for that device.
+// Simulators are stored; whether they run and how much they sent is kept in memory only.
+class TrafficSimulator {
+  constructor({ publish, onUpdate } = {}) {
+    this.publish = publish;
+    this.onUpdate = onUpdate || (() => {});
+    this.running = new Map(); // simulator id -> run state
+    this.lastRuns = new Map(); // simulator id -> its last finished run; late acknowledgements still count
+  }
+
+  // Turn a template into a function of the message context; throws on unknown or malformed placeholders
+  static compileTemplate(template) {
+    const parts = [];
+    let index = 0;
+    for (const match of template.matchAll(PLACEHOLDER)) {
+      const [text, name, argumentText] = match;
+      const generator = GENERATORS[name];
+      if (!generator) {
+        throw new RequestError(`Unknown placeholder {{${name}}}`);
+      }
+
+      const args = argumentText === undefined || argumentText.trim() === '' ? [] : argumentText.split(',').map(Number);
+      const [minArgs, maxArgs] = generator.args;
+      if (args.length < minArgs || args.length > maxArgs || args.some(arg => !Number.isFinite(arg))) {
+        throw new RequestError(`{{${name}}} takes ${minArgs === maxArgs ? minArgs : `${minArgs} to ${maxArgs}`} numeric arguments: ${text}`);
+      }
+      if (name === 'sine' && !(args[2] > 0)) {
+        throw new RequestError(`The period of {{sine}} must be a positive number of seconds: ${text}`);
+      }
+
+      parts.push(template.slice(index, match.index));
+      parts.push(context => String(generator.generate(args, context)));
+      index = match.index + text.length;
+    }
+    parts.push(template.slice(index));
+
+    return context => parts.map(part => typeof part === 'string' ? part : part(context)).join('');
+  }
+
+  static validate(simulator) {
+    if (!simulator.name) {
+      return 'Simulator name is required';
+    }
+    if (!simulator.connection_id) {
+      return 'Connection is required';
+    }
+    if (!simulator.topic_template) {
+      return 'Topic template is required';
+    }
+    if (!(simulator.device_count >= 1 && simulator.device_count <= MAX_DEVICES) || !Number.isInteger(simulator.device_count)) {
+      return `Device count must be a whole number from 1 to ${MAX_DEVICES}`;
+    }
+    if (!(simulator.rate > 0 && simulator.rate <= MAX_RATE)) {
+      return `Rate must be more than 0 and at most ${MAX_RATE} messages per second per device`;
+    }
+    if (simulator.rate * simulator.device_count > MAX_TOTAL_RATE) {
+      return `Rate times device count must stay at or below ${MAX_TOTAL_RATE} messages per second`;
+    }
+    if (![0, 1, 2].includes(simulator.qos ?? 0)) {
+      return 'QoS must be 0, 1 or 2';
+    }
+
+    try {
+      const topic = TrafficSimulator.compileTemplate(simulator.topic_template);
+      TrafficSimulator.compileTemplate(simulator.payload_template || '');
+      const sample = topic({ device: 1, counter: 1, deviceCount: 1, time: Date.now() });
+      if (sample.includes('#') || sample.includes('+')) {
+        return 'Topic template cannot produce wildcards';
+      }
+    } catch (error) {
+      return error.message;
+    }
+    return null;
+  }
+
+  // The first messages a simulator would send, for checking templates before starting it
+  static preview(simulator, count = 3) {
+    const topic = TrafficSimulator.compileTemplate(simulator.topic_template);
+    const payload = TrafficSimulator.compileTemplate(simulator.payload_template || '');
+    const time = Date.now();
+    const deviceCount = simulator.device_count || 1;
+    return Array.from({ length: Math.min(count, deviceCount) }, (_, index) => {
+      const context = { device: index + 1, counter: 1, deviceCount, time };
+      return { topic: topic(context), payload: payload(context) };
+    });
+  }
+
+  start(simulator) {
+    if (this.running.has(simulator.id)) {
+      throw new RequestError('Simulator is already running', 409);
+    }
+
+    const run = {
+      simulator,
+      topic: TrafficSimulator.compileTemplate(simulator.topic_template),
+      payload: TrafficSimulator.compileTemplate(simulator.payload_template || ''),
+      counters: new Array(simulator.device_count).fill(0),
+      sent: 0,
+      errors: 0,
+      last_error: null,
+      started_at: new Date().toISOString(),
+      timer: null
+    };
+    run.timer = setInterval(() => this.tick(run), 1000 / simulator.rate);
+    this.running.set(simulator.id, run);
+
+    console.log(`🎲 Simulator "${simulator.name}" started: ${simulator.device_count} devices at ${simulator.rate} msg/s on connection ${simulator.connection_id}`);
+    this.onUpdate(this.status(simulator.id));
+    this.tick(run);
+    return this.status(simulator.id);
+  }
+
+  tick(run) {
+    const { simulator } = run;
+    const time = Date.now();
+    for (let device = 1; device <= simulator.device_count; device++) {
+      const counter = ++run.counters[device - 1];
+      const context = { device, counter, deviceCount: simulator.device_count, time };
+
+      this.publish(simulator.connection_id, run.topic(context), run.payload(context), {
+        qos: simulator.qos || 0,
+        retain: !!simulator.retain
+      }).then(() => {
+        run.sent++;
+      }).catch(error => {
+        run.errors++;
+        run.last_error = error.message;
+        // Nothing more will get through once the connection is gone
+        if (error.statusCode === 409 && this.running.get(simulator.id) === run) {
+          this.stop(simulator.id, error.message);
+        }
+      });
+    }
+  }
+
+  stop(simulatorId, reason = null) {
+    const run = this.running.get(simulatorId);
+    if (!run) {
+      return null;
+    }
+    clearInterval(run.timer);
+    this.running.delete(simulatorId);
+
+    console.log(`⏹️ Simulator "${run.simulator.name}" stopped after ${run.sent} messages${reason ? `: ${reason}` : ''}`);
+    run.stopped_reason = reason;
+    this.lastRuns.set(simulatorId, run);
+    const status = this.status(simulatorId);
+    this.onUpdate(status);
+    return status;
+  }
+
+  stopAll() {
+    Array.from(this.running.keys()).forEach(id => this.stop(id));
+  }
+
+  stopForConnection(connectionId) {
+    Array.from(this.running.values())
+      .filter(run => run.simulator.connection_id === connectionId)
+      .forEach(run => this.stop(run.simulator.id, 'Connection deleted'));
+  }
+
+  isRunning(simulatorId) {
+    return this.running.has(simulatorId);
+  }
+
+  describe(run) {
+    return {
+      id: run.simulator.id,
+      running: true,
+      sent: run.sent,
+      errors: run.errors,
+      last_error: run.last_error,
+      started_at: run.started_at
+    };
+  }
+
+  // Running simulators report live counts; stopped ones the counts of their last run since the server started
+  status(simulatorId) {
+    const run = this.running.get(simulatorId);
+    if (run) {
+      return this.describe(run);
+    }
+    const lastRun = this.lastRuns.get(simulatorId);
+    if (lastRun) {
+      return { ...this.describe(lastRun), running: false, stopped_reason: lastRun.stopped_reason };
+    }
+    return { id: simulatorId, running: false, sent: 0, errors: 0, last_error: null, started_at: null };
+  }
+
+  withStatus(simulator) {
+    const { id, ...status } = this.status(simulator.id);
+    return { ...simulator, ...status };
+  }
+
+  // Counts of the running simulators on connections visible(connectionId) accepts, keyed by simulator id
+  stats(visible = () => true) {
+    return Object.fromEntries(Array.from(this.running.values())
+      .filter(run => visible(run.simulator.connection_id))
+      .map(run => [run.simulator.id, this.describe(run)]));
+  }
+
+  forget(simulatorId) {
+    this.stop(simulatorId);
+    this.lastRuns.delete(simulatorId);
+  }
+}
+
+TrafficSimulator.MAX_DEVICES = MAX_DEVICES;
+TrafficSimulator.MAX_RATE = MAX_RATE;
+
+module.exports = TrafficSimulator;